@@ -0,0 +1,384 @@
+// Диаграммы Mermaid: отрисовка, масштаб и перемещение, полноэкранный режим, выгрузка в SVG и PNG.
+// Встроенная интеграция Material кладет SVG в закрытый shadow DOM, поэтому ```mermaid``` рисуем сами
+(function() {
+    'use strict';
+
+    // Тот же адрес, что использует Material, - библиотека одна на все страницы и берется из кэша
+    const MERMAID_URL = 'https://unpkg.com/mermaid@11/dist/mermaid.min.js';
+    const MIN_SCALE = 0.5;
+    const MAX_SCALE = 8;
+    const ZOOM_STEP = 1.25;
+    const PAN_STEP = 40;
+    const PNG_RATIO = 2;
+
+    const t = window.docsI18n.t;
+
+    // Цвета берутся из переменных палитры Material (--md-mermaid-*), как и у встроенной интеграции
+    const THEME_CSS = `
+        .node rect, .node circle, .node ellipse, .node polygon, .node path {
+            fill: var(--md-mermaid-node-bg-color); stroke: var(--md-mermaid-node-fg-color);
+        }
+        .nodeLabel, .label text, .cluster-label text, .node .label {
+            fill: var(--md-mermaid-label-fg-color); color: var(--md-mermaid-label-fg-color);
+        }
+        .edgeLabel, .edgeLabel rect, .labelBkg {
+            fill: var(--md-mermaid-label-bg-color); background-color: var(--md-mermaid-label-bg-color);
+        }
+        .edgeLabel text, .edgeLabel .label { fill: var(--md-mermaid-label-fg-color); }
+        .flowchart-link, .edgePath .path, .transition, .relation { stroke: var(--md-mermaid-edge-color); }
+        .arrowheadPath, .marker, marker path { fill: var(--md-mermaid-edge-color); stroke: var(--md-mermaid-edge-color); }
+        rect.actor { fill: var(--md-mermaid-sequence-actor-bg-color); stroke: var(--md-mermaid-sequence-actor-border-color); }
+        text.actor > tspan { fill: var(--md-mermaid-sequence-actor-fg-color); }
+        .actor-line { stroke: var(--md-mermaid-sequence-actor-line-color); }
+        .messageLine0, .messageLine1 { stroke: var(--md-mermaid-sequence-message-line-color); }
+        .messageText { fill: var(--md-mermaid-sequence-message-fg-color); }
+        #arrowhead path, #crosshead path {
+            fill: var(--md-mermaid-sequence-message-line-color); stroke: var(--md-mermaid-sequence-message-line-color);
+        }
+        .note { fill: var(--md-mermaid-sequence-note-bg-color); stroke: var(--md-mermaid-sequence-note-border-color); }
+        .noteText, .noteText > tspan { fill: var(--md-mermaid-sequence-note-fg-color); }
+        .labelBox { fill: var(--md-mermaid-sequence-label-bg-color); stroke: var(--md-mermaid-sequence-loop-border-color); }
+        .labelText, .labelText > tspan, .loopText, .loopText > tspan { fill: var(--md-mermaid-sequence-label-fg-color); }
+        .loopLine { stroke: var(--md-mermaid-sequence-loop-border-color); }
+    `;
+
+    let mermaidPromise = null;
+    let diagramId = 0;
+
+    function loadMermaid() {
+        if (!mermaidPromise) {
+            mermaidPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = MERMAID_URL;
+                script.addEventListener('load', () => resolve(window.mermaid));
+                script.addEventListener('error', reject);
+                document.head.appendChild(script);
+            }).then(mermaid => {
+                // Подписи без HTML (foreignObject), иначе холст для PNG считается "грязным" и не выгружается
+                mermaid.initialize({
+                    startOnLoad: false,
+                    themeCSS: THEME_CSS,
+                    htmlLabels: false,
+                    flowchart: { htmlLabels: false }
+                });
+                return mermaid;
+            }).catch(error => {
+                mermaidPromise = null;
+                throw error;
+            });
+        }
+        return mermaidPromise;
+    }
+
+    // Функция для отрисовки исходника Mermaid в разметку SVG
+    function render(source) {
+        return loadMermaid()
+            .then(mermaid => mermaid.render(`docs-diagram-${++diagramId}`, source))
+            .then(result => result.svg);
+    }
+
+    // Функция для подстановки значений CSS-переменных: выгруженный файл не видит стилей страницы
+    function resolveVariables(text, element) {
+        const styles = window.getComputedStyle(element);
+        const pattern = /var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*))?\)/g;
+        for (let pass = 0; pass < 5 && pattern.test(text); pass++) {
+            pattern.lastIndex = 0;
+            text = text.replace(pattern, (match, name, fallback) =>
+                styles.getPropertyValue(name).trim() || (fallback || '').trim() || 'initial');
+        }
+        return text;
+    }
+
+    function getSize(svg) {
+        const viewBox = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+        if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+            return { width: viewBox[2], height: viewBox[3] };
+        }
+        const rect = svg.getBoundingClientRect();
+        return { width: rect.width || 800, height: rect.height || 600 };
+    }
+
+    // Функция для получения самостоятельного SVG-файла с цветами текущей темы
+    function serialize(viewer) {
+        const svg = viewer.querySelector('.diagram__canvas svg');
+        const size = getSize(svg);
+        const copy = svg.cloneNode(true);
+        copy.setAttribute('width', size.width);
+        copy.setAttribute('height', size.height);
+        copy.removeAttribute('style');
+        copy.querySelectorAll('style').forEach(style => {
+            style.textContent = resolveVariables(style.textContent, viewer);
+        });
+        // Подсветка шагов и прочие состояния страницы в файл не попадают
+        copy.querySelectorAll('.is-active, .is-done, .is-fail, .is-compensate').forEach(el => {
+            el.classList.remove('is-active', 'is-done', 'is-fail', 'is-compensate');
+        });
+        return { markup: new XMLSerializer().serializeToString(copy), width: size.width, height: size.height };
+    }
+
+    function getFileName(viewer, extension) {
+        const slug = window.location.pathname.replace(/\/index\.html$|\.html$|\/$/, '').split('/').pop() || 'index';
+        const viewers = Array.from(document.querySelectorAll('.diagram'));
+        return `${slug}-diagram-${viewers.indexOf(viewer) + 1}.${extension}`;
+    }
+
+    function download(blob, name) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    function downloadSvg(viewer) {
+        const file = serialize(viewer);
+        download(new Blob([file.markup], { type: 'image/svg+xml' }), getFileName(viewer, 'svg'));
+    }
+
+    // PNG рисуется через холст с удвоенным разрешением; фон - цвет страницы, а не прозрачный
+    function downloadPng(viewer) {
+        const file = serialize(viewer);
+        const image = new Image();
+        image.addEventListener('load', () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(file.width * PNG_RATIO);
+            canvas.height = Math.ceil(file.height * PNG_RATIO);
+            const context = canvas.getContext('2d');
+            context.fillStyle = resolveVariables('var(--md-default-bg-color, #ffffff)', viewer);
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(blob => {
+                if (blob) {
+                    download(blob, getFileName(viewer, 'png'));
+                }
+            }, 'image/png');
+        });
+        image.addEventListener('error', error => console.warn('Diagram PNG export failed:', error));
+        image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(file.markup);
+    }
+
+    function isFullscreen(viewer) {
+        return document.fullscreenElement === viewer || viewer.classList.contains('diagram--fullscreen');
+    }
+
+    // Полноэкранный режим через Fullscreen API, а где его нет - окно поверх страницы
+    function toggleFullscreen(viewer) {
+        if (document.fullscreenElement === viewer) {
+            document.exitFullscreen();
+        } else if (viewer.classList.contains('diagram--fullscreen')) {
+            viewer.classList.remove('diagram--fullscreen');
+            viewer.state.reset();
+        } else if (viewer.requestFullscreen) {
+            viewer.requestFullscreen().catch(() => {
+                viewer.classList.add('diagram--fullscreen');
+                viewer.state.reset();
+            });
+        } else {
+            viewer.classList.add('diagram--fullscreen');
+            viewer.state.reset();
+        }
+    }
+
+    // Функция для подключения масштаба и перемещения: колесо (с Ctrl вне полноэкранного режима,
+    // чтобы не мешать прокрутке страницы), перетаскивание мышью, щипок двумя пальцами и клавиши
+    function attachZoom(viewer) {
+        const viewport = viewer.querySelector('.diagram__viewport');
+        const canvas = viewer.querySelector('.diagram__canvas');
+        const pointers = new Map();
+        const view = { scale: 1, x: 0, y: 0 };
+        let gesture = null;
+
+        function apply() {
+            canvas.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+            viewer.classList.toggle('diagram--zoomed', view.scale !== 1 || view.x !== 0 || view.y !== 0);
+        }
+
+        // Масштабирование вокруг точки (x, y) внутри области просмотра
+        function zoomAt(scale, x, y) {
+            const next = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+            view.x = x - (x - view.x) * next / view.scale;
+            view.y = y - (y - view.y) * next / view.scale;
+            view.scale = next;
+            apply();
+        }
+
+        function zoomBy(factor) {
+            const rect = viewport.getBoundingClientRect();
+            zoomAt(view.scale * factor, rect.width / 2, rect.height / 2);
+        }
+
+        function reset() {
+            view.scale = 1;
+            view.x = 0;
+            view.y = 0;
+            apply();
+        }
+
+        function getPoint(event) {
+            const rect = viewport.getBoundingClientRect();
+            return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        }
+
+        viewport.addEventListener('wheel', event => {
+            if (!event.ctrlKey && !event.metaKey && !isFullscreen(viewer)) {
+                return;
+            }
+            event.preventDefault();
+            const point = getPoint(event);
+            zoomAt(view.scale * Math.pow(ZOOM_STEP, -event.deltaY / 100), point.x, point.y);
+        }, { passive: false });
+
+        viewport.addEventListener('pointerdown', event => {
+            if (event.pointerType === 'mouse' && event.button !== 0) {
+                return;
+            }
+            viewport.setPointerCapture(event.pointerId);
+            pointers.set(event.pointerId, getPoint(event));
+            gesture = null;
+        });
+
+        viewport.addEventListener('pointermove', event => {
+            const previous = pointers.get(event.pointerId);
+            if (!previous) {
+                return;
+            }
+            const point = getPoint(event);
+            pointers.set(event.pointerId, point);
+
+            if (pointers.size === 1) {
+                view.x += point.x - previous.x;
+                view.y += point.y - previous.y;
+                apply();
+                return;
+            }
+
+            const [a, b] = Array.from(pointers.values());
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            if (gesture && gesture.distance > 0) {
+                zoomAt(view.scale * distance / gesture.distance, center.x, center.y);
+            }
+            gesture = { distance: distance };
+        });
+
+        const release = event => {
+            pointers.delete(event.pointerId);
+            gesture = null;
+        };
+        viewport.addEventListener('pointerup', release);
+        viewport.addEventListener('pointercancel', release);
+
+        viewport.addEventListener('keydown', event => {
+            const moves = {
+                ArrowLeft: [PAN_STEP, 0],
+                ArrowRight: [-PAN_STEP, 0],
+                ArrowUp: [0, PAN_STEP],
+                ArrowDown: [0, -PAN_STEP]
+            };
+            if (event.ctrlKey || event.metaKey || event.altKey) {
+                return;
+            }
+            if (event.key === '+' || event.key === '=') {
+                zoomBy(ZOOM_STEP);
+            } else if (event.key === '-') {
+                zoomBy(1 / ZOOM_STEP);
+            } else if (event.key === '0') {
+                reset();
+            } else if (moves[event.key] && view.scale !== 1) {
+                view.x += moves[event.key][0];
+                view.y += moves[event.key][1];
+                apply();
+            } else {
+                return;
+            }
+            event.preventDefault();
+        });
+
+        return { zoomBy: zoomBy, reset: reset };
+    }
+
+    // Функция для создания блока с диаграммой и панелью инструментов
+    function createViewer(svg) {
+        const viewer = document.createElement('figure');
+        viewer.className = 'diagram';
+        viewer.innerHTML = `
+            <div class="diagram__toolbar" role="toolbar" aria-label="${t('diagram.tools')}">
+                <button type="button" class="diagram__button" data-action="zoom-in" title="${t('diagram.zoomIn')} (+)" aria-label="${t('diagram.zoomIn')}">+</button>
+                <button type="button" class="diagram__button" data-action="zoom-out" title="${t('diagram.zoomOut')} (-)" aria-label="${t('diagram.zoomOut')}">−</button>
+                <button type="button" class="diagram__button" data-action="reset" title="${t('diagram.reset')} (0)" aria-label="${t('diagram.reset')}">1:1</button>
+                <button type="button" class="diagram__button" data-action="fullscreen" title="${t('diagram.fullscreen')}" aria-label="${t('diagram.fullscreen')}">⛶</button>
+                <button type="button" class="diagram__button" data-action="svg" title="${t('diagram.downloadSvg')}" aria-label="${t('diagram.downloadSvg')}">SVG</button>
+                <button type="button" class="diagram__button" data-action="png" title="${t('diagram.downloadPng')}" aria-label="${t('diagram.downloadPng')}">PNG</button>
+            </div>
+            <div class="mermaid diagram__viewport" tabindex="0" aria-label="${t('diagram.viewport')}">
+                <div class="diagram__canvas">${svg}</div>
+            </div>
+        `;
+        viewer.state = attachZoom(viewer);
+
+        viewer.querySelector('.diagram__toolbar').addEventListener('click', event => {
+            const button = event.target.closest('[data-action]');
+            if (!button) {
+                return;
+            }
+            switch (button.dataset.action) {
+                case 'zoom-in':
+                    viewer.state.zoomBy(ZOOM_STEP);
+                    break;
+                case 'zoom-out':
+                    viewer.state.zoomBy(1 / ZOOM_STEP);
+                    break;
+                case 'reset':
+                    viewer.state.reset();
+                    break;
+                case 'fullscreen':
+                    toggleFullscreen(viewer);
+                    break;
+                case 'svg':
+                    downloadSvg(viewer);
+                    break;
+                case 'png':
+                    downloadPng(viewer);
+                    break;
+            }
+        });
+
+        viewer.addEventListener('keydown', event => {
+            if (event.key === 'Escape' && viewer.classList.contains('diagram--fullscreen')) {
+                toggleFullscreen(viewer);
+            }
+        });
+
+        return viewer;
+    }
+
+    function onFullscreenChange() {
+        document.querySelectorAll('.diagram').forEach(viewer => viewer.state.reset());
+    }
+
+    // Исходный блок остается на странице, если Mermaid не загрузился
+    function renderBlocks() {
+        document.querySelectorAll('pre.mermaid-diagram').forEach(block => {
+            render(block.textContent)
+                .then(svg => block.replaceWith(createViewer(svg)))
+                .catch(error => console.warn('Mermaid diagram is unavailable:', error));
+        });
+    }
+
+    window.docsDiagrams = {
+        render: render,
+        createViewer: createViewer
+    };
+
+    document.addEventListener('fullscreenchange', onFullscreenChange);
+
+    if (window.document$ && typeof window.document$.subscribe === 'function') {
+        window.document$.subscribe(renderBlocks);
+    } else if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', renderBlocks);
+    } else {
+        renderBlocks();
+    }
+})();
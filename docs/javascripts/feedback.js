@@ -0,0 +1,262 @@
+// Отзыв о странице под плитками навигации: палец вверх/вниз, необязательный комментарий,
+// путь страницы и раздел из манифеста навигации. Куда уходит отзыв, решает адаптер из extra.feedback
+// в mkdocs.yml (overrides/main.html кладет настройки в <script id="__feedback">)
+(function() {
+    'use strict';
+
+    // Для проверки с локальной заглушкой отзывы можно отправить POST-запросом на свой адрес:
+    // ?feedbackapi=http://localhost:8002/feedback (docsNavigation.getLocalOverride)
+    const API_PARAM = 'feedbackapi';
+    const API_KEY = 'docs-feedback-api';
+    const STORAGE_KEY = 'docs-feedback';
+    const REQUEST_TIMEOUT = 10000;
+    const MAX_COMMENT = 1000;
+    // Не больше RATE_LIMIT отзывов за RATE_WINDOW и не чаще одного в MIN_INTERVAL
+    const RATE_LIMIT = 5;
+    const RATE_WINDOW = 10 * 60 * 1000;
+    const MIN_INTERVAL = 15 * 1000;
+    const t = window.docsI18n.t;
+    const escapeHtml = text => window.docsNavigation.escapeHtml(text);
+
+    // Адаптер - объект с submit(entry), который возвращает Promise; результат может содержать link -
+    // ссылку, по которой читатель закончит отправку сам
+    const ADAPTERS = {
+        // POST с JSON отзыва на endpoint
+        http(options) {
+            return {
+                submit(entry) {
+                    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+                    const timer = controller ? setTimeout(() => controller.abort(), REQUEST_TIMEOUT) : null;
+                    return fetch(options.endpoint, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(entry),
+                        signal: controller ? controller.signal : undefined
+                    })
+                        .then(response => {
+                            if (!response.ok) {
+                                throw new Error(`HTTP ${response.status}`);
+                            }
+                            return {};
+                        })
+                        .finally(() => clearTimeout(timer));
+                }
+            };
+        },
+
+        // Ссылка на новый issue с заполненными заголовком и текстом (трекер англоязычный)
+        github(options) {
+            return {
+                submit(entry) {
+                    const rating = entry.rating === 'up' ? '👍 helpful' : '👎 not helpful';
+                    const body = [
+                        `**Page:** [${entry.title}](${entry.url})`,
+                        `**Path:** \`${entry.page}\``,
+                        `**Section:** ${entry.sections.join(' › ') || '-'}`,
+                        `**Rating:** ${rating}`,
+                        '',
+                        entry.comment || '_No comment_'
+                    ].join('\n');
+                    const url = new URL(`https://github.com/${options.repo}/issues/new`);
+                    url.searchParams.set('title', `Docs feedback: ${entry.title}`);
+                    url.searchParams.set('body', body);
+                    return Promise.resolve({ link: url.href });
+                }
+            };
+        },
+
+        // Отзыв никуда не уходит: виджет работает, но ничего не отправляет
+        none() {
+            return {
+                submit() {
+                    return Promise.resolve({});
+                }
+            };
+        }
+    };
+
+    function readConfig() {
+        const element = document.getElementById('__feedback');
+        try {
+            return element ? JSON.parse(element.textContent) || {} : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Функция для выбора адаптера: подмена адреса включает http, неизвестный адаптер - как none
+    function createAdapter() {
+        const config = readConfig();
+        const override = window.docsNavigation.getLocalOverride(API_PARAM, API_KEY);
+        if (override) {
+            return ADAPTERS.http({ endpoint: override });
+        }
+        const name = config.adapter || 'none';
+        if (!ADAPTERS[name] || (name === 'http' && !config.endpoint) || (name === 'github' && !config.repo)) {
+            console.warn('Feedback adapter is not configured:', name);
+            return ADAPTERS.none(config);
+        }
+        return ADAPTERS[name](config);
+    }
+
+    // Отправленные страницы и время отправок живут до конца сессии (создается в init)
+    let log = null;
+
+    function isSent(path) {
+        return log.get().sent.includes(path);
+    }
+
+    function isRateLimited() {
+        const now = Date.now();
+        const times = log.get().times.filter(time => now - time < RATE_WINDOW);
+        return times.length >= RATE_LIMIT || (times.length > 0 && now - times[times.length - 1] < MIN_INTERVAL);
+    }
+
+    function markSent(path) {
+        const entries = log.get();
+        const now = Date.now();
+        log.set({
+            sent: entries.sent.filter(item => item !== path).concat(path),
+            times: entries.times.filter(time => now - time < RATE_WINDOW).concat(now)
+        });
+    }
+
+    function createEntry(page, rating, comment) {
+        return {
+            rating: rating,
+            comment: comment,
+            page: page.path,
+            title: window.docsNavigation.getPageTitle(page),
+            sections: page.sections || [],
+            url: window.location.href.split('#')[0],
+            lang: window.docsI18n.lang,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    function showThanks(widget, result) {
+        const status = widget.querySelector('.page-feedback__status');
+        widget.querySelector('.page-feedback__rating').hidden = true;
+        widget.querySelector('.page-feedback__form').hidden = true;
+        widget.classList.add('page-feedback--sent');
+        status.textContent = t('feedback.thanks');
+        if (result.link) {
+            const link = document.createElement('a');
+            link.className = 'page-feedback__link';
+            link.href = result.link;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = t('feedback.github');
+            status.append(' ', link);
+        }
+    }
+
+    // Функция для создания виджета отзыва текущей страницы
+    function createWidget(page, adapter) {
+        const widget = document.createElement('section');
+        widget.className = 'page-feedback';
+        widget.setAttribute('aria-label', t('feedback.question'));
+        widget.innerHTML = `
+            <div class="page-feedback__rating" role="group" aria-label="${escapeHtml(t('feedback.question'))}">
+                <span class="page-feedback__question">${escapeHtml(t('feedback.question'))}</span>
+                <button type="button" class="page-feedback__button" data-rating="up" aria-pressed="false">
+                    <span aria-hidden="true">👍</span> ${escapeHtml(t('feedback.yes'))}
+                </button>
+                <button type="button" class="page-feedback__button" data-rating="down" aria-pressed="false">
+                    <span aria-hidden="true">👎</span> ${escapeHtml(t('feedback.no'))}
+                </button>
+            </div>
+            <form class="page-feedback__form" hidden>
+                <label class="page-feedback__label">
+                    <span>${escapeHtml(t('feedback.comment'))}</span>
+                    <textarea class="page-feedback__comment" rows="3" maxlength="${MAX_COMMENT}"></textarea>
+                </label>
+                <button type="submit" class="page-feedback__submit">${escapeHtml(t('feedback.send'))}</button>
+            </form>
+            <p class="page-feedback__status" role="status"></p>
+        `;
+
+        const form = widget.querySelector('.page-feedback__form');
+        const comment = widget.querySelector('.page-feedback__comment');
+        const submit = widget.querySelector('.page-feedback__submit');
+        const status = widget.querySelector('.page-feedback__status');
+        let rating = null;
+
+        widget.querySelector('.page-feedback__rating').addEventListener('click', event => {
+            const button = event.target.closest('[data-rating]');
+            if (!button) {
+                return;
+            }
+            rating = button.dataset.rating;
+            widget.querySelectorAll('[data-rating]').forEach(item => {
+                item.setAttribute('aria-pressed', String(item === button));
+            });
+            comment.placeholder = t(rating === 'up' ? 'feedback.placeholderUp' : 'feedback.placeholderDown');
+            form.hidden = false;
+            comment.focus();
+        });
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            if (!rating || submit.disabled) {
+                return;
+            }
+            if (isSent(page.path)) {
+                showThanks(widget, {});
+                return;
+            }
+            if (isRateLimited()) {
+                status.textContent = t('feedback.limited');
+                return;
+            }
+
+            submit.disabled = true;
+            status.textContent = t('feedback.sending');
+            adapter.submit(createEntry(page, rating, comment.value.trim().slice(0, MAX_COMMENT)))
+                .then(result => {
+                    markSent(page.path);
+                    showThanks(widget, result || {});
+                })
+                .catch(error => {
+                    console.warn('Feedback was not sent:', error);
+                    status.textContent = t('feedback.failed');
+                    submit.disabled = false;
+                });
+        });
+
+        if (isSent(page.path)) {
+            widget.querySelector('.page-feedback__rating').hidden = true;
+            widget.classList.add('page-feedback--sent');
+            status.textContent = t('feedback.already');
+        }
+        return widget;
+    }
+
+    // Виджет стоит сразу под плитками навигации; при instant navigation создается для новой страницы заново
+    function render(pageInfo, adapter) {
+        document.querySelectorAll('.page-feedback').forEach(element => element.remove());
+        const content = document.querySelector('.md-content__inner');
+        if (!content || !pageInfo.current) {
+            return;
+        }
+        const widget = createWidget(pageInfo.current, adapter);
+        const tiles = content.querySelector('.nav-tiles-container');
+        if (tiles) {
+            tiles.insertAdjacentElement('afterend', widget);
+        } else {
+            content.appendChild(widget);
+        }
+    }
+
+    function init() {
+        const nav = window.docsNavigation;
+        if (!nav) {
+            return;
+        }
+        log = nav.createStoredValue('sessionStorage', STORAGE_KEY, { sent: [], times: [] });
+        const adapter = createAdapter();
+        nav.onPage(detail => render(detail.pageInfo, adapter));
+    }
+
+    init();
+})();
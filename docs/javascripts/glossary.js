@@ -0,0 +1,220 @@
+// Подсказки глоссария: первое употребление каждого термина на странице становится кнопкой,
+// которая показывает определение (наведение, фокус, нажатие) и ссылку на статью в глоссарии
+(function() {
+    'use strict';
+
+    // В коде, ссылках, заголовках и наших виджетах термины не ищем
+    const SKIP_SELECTOR = [
+        'pre', 'code', 'a', 'button', 'select', 'summary', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        '.admonition-title', '.glossary-term', '.nav-tiles-container', '.saga-player', '.diagram', '.page-feedback', '.reading-progress'
+    ].join(', ');
+
+    let glossaryPromise = null;
+    let tipId = 0;
+
+    function loadGlossary() {
+        if (!glossaryPromise) {
+            const nav = window.docsNavigation;
+            glossaryPromise = fetch(new URL('glossary.json', nav.siteBase || window.location.href).href)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    console.warn('Glossary is unavailable:', error);
+                    return { url: null, terms: [] };
+                });
+        }
+        return glossaryPromise;
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Функция для поиска первых употреблений терминов в тексте страницы
+    function findFirstUses(root, glossary) {
+        const entries = new Map();
+        glossary.terms.forEach(entry => {
+            [entry.term].concat(entry.aliases || []).forEach(word => entries.set(word.toLowerCase(), entry));
+        });
+        if (entries.size === 0) {
+            return [];
+        }
+        // Длинные формы раньше коротких: "transactional outbox" находится целиком, а не как "outbox"
+        const words = Array.from(entries.keys()).sort((a, b) => b.length - a.length);
+        const pattern = new RegExp(`\\b(${words.map(escapeRegExp).join('|')})\\b`, 'gi');
+
+        const found = new Set();
+        const matches = [];
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement.closest(SKIP_SELECTOR)
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        for (let node = walker.nextNode(); node && found.size < glossary.terms.length; node = walker.nextNode()) {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(node.nodeValue)) !== null) {
+                const entry = entries.get(match[1].toLowerCase());
+                if (!found.has(entry.id)) {
+                    found.add(entry.id);
+                    matches.push({ node: node, index: match.index, text: match[1], entry: entry });
+                }
+            }
+        }
+        return matches;
+    }
+
+    function createTerm(text, entry, glossaryUrl) {
+        const id = `glossary-tip-${++tipId}`;
+        const term = document.createElement('span');
+        term.className = 'glossary-term';
+
+        const trigger = document.createElement('button');
+        trigger.type = 'button';
+        trigger.className = 'glossary-term__trigger';
+        trigger.textContent = text;
+        trigger.setAttribute('aria-expanded', 'false');
+        trigger.setAttribute('aria-controls', id);
+
+        const tip = document.createElement('span');
+        tip.className = 'glossary-term__tip';
+        tip.id = id;
+        tip.hidden = true;
+        const title = document.createElement('strong');
+        title.textContent = entry.term;
+        const definition = document.createElement('span');
+        definition.textContent = ' — ' + entry.definition + ' ';
+        tip.append(title, definition);
+        if (glossaryUrl) {
+            const link = document.createElement('a');
+            link.href = glossaryUrl + '#' + entry.id;
+            link.textContent = window.docsI18n.t('glossary.entry');
+            tip.appendChild(link);
+        }
+
+        term.append(trigger, tip);
+        return term;
+    }
+
+    // Функция для пометки терминов; узлы обрабатываем с конца, чтобы не сбить смещения в одном узле.
+    // Пока грузится glossary.json, instant navigation может опубликовать несколько страниц подряд -
+    // поэтому каждое содержимое размечаем только один раз
+    function markTerms(glossary) {
+        const root = document.querySelector('.md-content__inner');
+        const current = window.docsNavigation.pageInfo && window.docsNavigation.pageInfo.current;
+        // На самой странице глоссария подсказки не нужны
+        if (!root || root.dataset.glossaryMarked || (current && current.path === 'glossary')) {
+            return;
+        }
+        root.dataset.glossaryMarked = 'true';
+        const glossaryUrl = glossary.url === null
+            ? null
+            : window.docsNavigation.getRelativeUrl({ url: glossary.url }, window.location.pathname);
+
+        findFirstUses(root, glossary).reverse().forEach(match => {
+            const rest = match.node.splitText(match.index);
+            rest.nodeValue = rest.nodeValue.slice(match.text.length);
+            rest.parentNode.insertBefore(createTerm(match.text, match.entry, glossaryUrl), rest);
+        });
+    }
+
+    function show(term, pinned) {
+        const trigger = term.querySelector('.glossary-term__trigger');
+        const tip = term.querySelector('.glossary-term__tip');
+        tip.hidden = false;
+        trigger.setAttribute('aria-expanded', 'true');
+        if (pinned) {
+            term.classList.add('glossary-term--pinned');
+        }
+
+        // Не даем подсказке уйти за правый край экрана
+        tip.style.left = '';
+        const overflow = tip.getBoundingClientRect().right - document.documentElement.clientWidth + 8;
+        if (overflow > 0) {
+            tip.style.left = `-${overflow}px`;
+        }
+    }
+
+    function hide(term) {
+        term.querySelector('.glossary-term__tip').hidden = true;
+        term.querySelector('.glossary-term__trigger').setAttribute('aria-expanded', 'false');
+        term.classList.remove('glossary-term--pinned');
+    }
+
+    function hideAll(except) {
+        document.querySelectorAll('.glossary-term').forEach(term => {
+            if (term !== except) {
+                hide(term);
+            }
+        });
+    }
+
+    function getTerm(target) {
+        return target instanceof Element ? target.closest('.glossary-term') : null;
+    }
+
+    function init() {
+        const nav = window.docsNavigation;
+        if (!nav) {
+            return;
+        }
+
+        nav.onPage(() => loadGlossary().then(markTerms));
+
+        // Нажатие (мышь, касание, Enter/Space) закрепляет подсказку; повторное - закрывает
+        document.addEventListener('click', event => {
+            const term = getTerm(event.target);
+            hideAll(term);
+            if (term && event.target.closest('.glossary-term__trigger')) {
+                if (term.classList.contains('glossary-term--pinned')) {
+                    hide(term);
+                } else {
+                    show(term, true);
+                }
+            }
+        });
+
+        document.addEventListener('mouseover', event => {
+            const term = getTerm(event.target);
+            if (term && term.querySelector('.glossary-term__tip').hidden) {
+                show(term, false);
+            }
+        });
+        document.addEventListener('mouseout', event => {
+            const term = getTerm(event.target);
+            if (term && !term.contains(event.relatedTarget) && !term.classList.contains('glossary-term--pinned') &&
+                !term.contains(document.activeElement)) {
+                hide(term);
+            }
+        });
+
+        document.addEventListener('focusin', event => {
+            const term = getTerm(event.target);
+            hideAll(term);
+            if (term) {
+                show(term, false);
+            }
+        });
+        document.addEventListener('focusout', event => {
+            const term = getTerm(event.target);
+            if (term && !term.contains(event.relatedTarget) && !term.classList.contains('glossary-term--pinned')) {
+                hide(term);
+            }
+        });
+
+        document.addEventListener('keydown', event => {
+            const term = getTerm(event.target);
+            if (event.key === 'Escape' && term && !term.querySelector('.glossary-term__tip').hidden) {
+                // Возвращаем фокус на кнопку (focusin снова покажет подсказку), затем закрываем
+                term.querySelector('.glossary-term__trigger').focus({ preventScroll: true });
+                hide(term);
+            }
+        });
+    }
+
+    init();
+})();
@@ -0,0 +1,277 @@
+// Строки интерфейса скриптов документации на языке страницы (<html lang>, его задает theme.language).
+// Подключается первым: остальные скрипты берут подписи через window.docsI18n.t
+(function() {
+    'use strict';
+
+    // Языковые версии документации. root - папка версии относительно корня английской:
+    // русская собирается отдельным конфигом (theme.language: ru) в site/ru/.
+    // Переключатель языка (language-switch.js) показывает только версии, которые есть на сайте
+    const LANGUAGES = [
+        { lang: 'en', name: 'English', root: '' },
+        { lang: 'ru', name: 'Русский', root: 'ru/' }
+    ];
+
+    // Подстановки - {name}; строки с числом задаются формами Intl.PluralRules (one, few, many, other)
+    const STRINGS = {
+        en: {
+            'common.close': 'Close',
+
+            'nav.previous': 'Previous',
+            'nav.next': 'Next',
+            'nav.previousSection': 'Previous section',
+            'nav.nextSection': 'Next section',
+            'nav.previousStep': 'Previous step',
+            'nav.nextStep': 'Next step',
+            'nav.up': 'Up to section overview',
+            'nav.sectionPosition': '{index} of {total} in {title}',
+            'nav.learningPath': 'Learning path',
+            'nav.pathPosition': 'Step {index} of {total} in {title}',
+            'nav.fullOrder': 'Full documentation order',
+            'nav.pathOption': { one: '{title} ({count} step)', other: '{title} ({count} steps)' },
+            'nav.pathResume': 'This page is not part of the path. Go to step 1',
+            'nav.pathExit': 'Exit path',
+
+            'keys.title': 'Keyboard shortcuts',
+            'keys.note': 'Shortcuts are ignored while typing in search or other fields.',
+            'keys.tileHint': 'Shortcut: {key} (press ? for all shortcuts)',
+            'keys.prev': 'Previous page',
+            'keys.next': 'Next page',
+            'keys.prevSection': 'Previous section',
+            'keys.nextSection': 'Next section',
+            'keys.up': 'Up to section overview',
+            'keys.home': 'Home',
+            'keys.help': 'Show or hide this help',
+            'keys.palette': 'Jump to a page or heading',
+
+            'progress.continue': 'Continue reading: {page}',
+            'progress.summary': 'Your reading progress',
+            'progress.reset': 'Reset progress',
+            'progress.read': 'Read',
+
+            'flavours.label': 'Model library',
+
+            'diagram.tools': 'Diagram tools',
+            'diagram.zoomIn': 'Zoom in',
+            'diagram.zoomOut': 'Zoom out',
+            'diagram.reset': 'Reset view',
+            'diagram.fullscreen': 'Fullscreen',
+            'diagram.downloadSvg': 'Download SVG',
+            'diagram.downloadPng': 'Download PNG',
+            'diagram.viewport': 'Diagram: drag to pan, Ctrl + wheel or pinch to zoom',
+
+            'saga.play': 'Play',
+            'saga.pause': 'Pause',
+            'saga.replay': 'Replay',
+            'saga.step': 'Step',
+            'saga.reset': 'Reset',
+            'saga.scenario': 'Scenario',
+            'saga.asWritten': 'As written',
+            'saga.failAt': 'Fail at step {index} ({step})',
+            'saga.hint': 'Press Play or Step to walk through the saga.',
+            'saga.start': '{client} starts the saga',
+            'saga.actSucceeds': 'Step {index} of {total}: {step}.act() succeeds',
+            'saga.actFails': 'Step {index} of {total}: {step}.act() raises an exception',
+            'saga.compensate': 'Compensating step {index}: {step}.compensate()',
+            'saga.message': '{from} → {to}: {text}',
+            'saga.compensated': 'Saga failed: completed steps were compensated in reverse order',
+            'saga.nothingToCompensate': 'Saga failed: nothing to compensate',
+            'saga.completed': 'Saga completed',
+
+            'glossary.entry': 'Glossary entry',
+
+            'stats.stars': { one: '{formatted} star on GitHub', other: '{formatted} stars on GitHub' },
+            'stats.version': 'Latest release on PyPI: {version}',
+
+            'offline.save': 'Save for offline reading',
+            'offline.saving': 'Saving for offline reading…',
+            'offline.progress': 'Saving for offline reading: {percent}%',
+            'offline.ready': 'Available offline',
+            'offline.offline': 'Offline: reading the saved copy',
+            'offline.update': 'Update ready',
+            'offline.reload': 'Reload',
+            'offline.remove': 'Remove offline copy',
+            'offline.failed': 'Could not save for offline reading',
+            'offline.retry': 'Retry',
+
+            'language.label': 'Language',
+            'language.switch': 'Read this page in {name}',
+
+            'palette.label': 'Go to page',
+            'palette.placeholder': 'Type a page or section title…',
+            'palette.recent': 'Recently visited',
+            'palette.pages': 'Pages',
+            'palette.headings': 'On this page',
+            'palette.empty': 'Nothing found',
+            'palette.hint': '↑ ↓ to select, Enter to open, Esc to close',
+
+            'print.section': 'Print the whole {section} section',
+            'print.preparing': 'Preparing the section for printing: {done} of {total} pages',
+            'print.failed': 'Could not prepare the section for printing. Try again',
+            'print.contents': 'Contents',
+
+            'feedback.question': 'Was this page helpful?',
+            'feedback.yes': 'Yes',
+            'feedback.no': 'No',
+            'feedback.comment': 'Comment (optional)',
+            'feedback.placeholderUp': 'What helped you the most?',
+            'feedback.placeholderDown': 'What is outdated, wrong or unclear? For example, an example that no longer works.',
+            'feedback.send': 'Send feedback',
+            'feedback.sending': 'Sending…',
+            'feedback.thanks': 'Thank you for your feedback!',
+            'feedback.github': 'Finish the report in a prefilled GitHub issue',
+            'feedback.already': 'You have already rated this page. Thank you!',
+            'feedback.limited': 'Too much feedback in a short time. Please try again in a few minutes.',
+            'feedback.failed': 'Could not send feedback. Please try again later.'
+        },
+        ru: {
+            'common.close': 'Закрыть',
+
+            'nav.previous': 'Предыдущая',
+            'nav.next': 'Следующая',
+            'nav.previousSection': 'Предыдущий раздел',
+            'nav.nextSection': 'Следующий раздел',
+            'nav.previousStep': 'Предыдущий шаг',
+            'nav.nextStep': 'Следующий шаг',
+            'nav.up': 'К обзору раздела',
+            'nav.sectionPosition': '{index} из {total} в разделе «{title}»',
+            'nav.learningPath': 'Учебный маршрут',
+            'nav.pathPosition': 'Шаг {index} из {total}: {title}',
+            'nav.fullOrder': 'Вся документация по порядку',
+            'nav.pathOption': {
+                one: '{title} ({count} шаг)',
+                few: '{title} ({count} шага)',
+                many: '{title} ({count} шагов)',
+                other: '{title} ({count} шага)'
+            },
+            'nav.pathResume': 'Этой страницы нет в маршруте. Перейти к шагу 1',
+            'nav.pathExit': 'Выйти из маршрута',
+
+            'keys.title': 'Горячие клавиши',
+            'keys.note': 'Пока вы вводите текст в поиске или других полях, клавиши не работают.',
+            'keys.tileHint': 'Клавиша: {key} (? - все сочетания)',
+            'keys.prev': 'Предыдущая страница',
+            'keys.next': 'Следующая страница',
+            'keys.prevSection': 'Предыдущий раздел',
+            'keys.nextSection': 'Следующий раздел',
+            'keys.up': 'К обзору раздела',
+            'keys.home': 'Главная',
+            'keys.help': 'Показать или скрыть эту справку',
+            'keys.palette': 'Перейти к странице или заголовку',
+
+            'progress.continue': 'Продолжить чтение: {page}',
+            'progress.summary': 'Ваш прогресс чтения',
+            'progress.reset': 'Сбросить прогресс',
+            'progress.read': 'Прочитано',
+
+            'flavours.label': 'Библиотека моделей',
+
+            'diagram.tools': 'Инструменты диаграммы',
+            'diagram.zoomIn': 'Увеличить',
+            'diagram.zoomOut': 'Уменьшить',
+            'diagram.reset': 'Исходный масштаб',
+            'diagram.fullscreen': 'На весь экран',
+            'diagram.downloadSvg': 'Скачать SVG',
+            'diagram.downloadPng': 'Скачать PNG',
+            'diagram.viewport': 'Диаграмма: перетаскивайте для прокрутки, Ctrl + колесо или щипок - масштаб',
+
+            'saga.play': 'Запустить',
+            'saga.pause': 'Пауза',
+            'saga.replay': 'Повторить',
+            'saga.step': 'Шаг',
+            'saga.reset': 'Сбросить',
+            'saga.scenario': 'Сценарий',
+            'saga.asWritten': 'Как на диаграмме',
+            'saga.failAt': 'Ошибка на шаге {index} ({step})',
+            'saga.hint': 'Нажмите «Запустить» или «Шаг», чтобы пройти сагу по шагам.',
+            'saga.start': '{client} запускает сагу',
+            'saga.actSucceeds': 'Шаг {index} из {total}: {step}.act() выполнен',
+            'saga.actFails': 'Шаг {index} из {total}: {step}.act() выбрасывает исключение',
+            'saga.compensate': 'Компенсация шага {index}: {step}.compensate()',
+            'saga.message': '{from} → {to}: {text}',
+            'saga.compensated': 'Сага завершилась ошибкой: выполненные шаги компенсированы в обратном порядке',
+            'saga.nothingToCompensate': 'Сага завершилась ошибкой: компенсировать нечего',
+            'saga.completed': 'Сага выполнена',
+
+            'glossary.entry': 'Статья в глоссарии',
+
+            'stats.stars': {
+                one: '{formatted} звезда на GitHub',
+                few: '{formatted} звезды на GitHub',
+                many: '{formatted} звезд на GitHub',
+                other: '{formatted} звезды на GitHub'
+            },
+            'stats.version': 'Последний релиз на PyPI: {version}',
+
+            'offline.save': 'Сохранить для чтения без сети',
+            'offline.saving': 'Сохраняем для чтения без сети…',
+            'offline.progress': 'Сохраняем для чтения без сети: {percent}%',
+            'offline.ready': 'Доступно без сети',
+            'offline.offline': 'Нет сети: открыта сохраненная копия',
+            'offline.update': 'Готово обновление',
+            'offline.reload': 'Перезагрузить',
+            'offline.remove': 'Удалить сохраненную копию',
+            'offline.failed': 'Не удалось сохранить для чтения без сети',
+            'offline.retry': 'Повторить',
+
+            'language.label': 'Язык',
+            'language.switch': 'Эта страница на языке: {name}',
+
+            'palette.label': 'Переход к странице',
+            'palette.placeholder': 'Начните вводить название страницы или раздела…',
+            'palette.recent': 'Недавние',
+            'palette.pages': 'Страницы',
+            'palette.headings': 'На этой странице',
+            'palette.empty': 'Ничего не найдено',
+            'palette.hint': '↑ ↓ - выбор, Enter - открыть, Esc - закрыть',
+
+            'print.section': 'Распечатать весь раздел «{section}»',
+            'print.preparing': 'Готовим раздел к печати: {done} из {total} страниц',
+            'print.failed': 'Не удалось подготовить раздел к печати. Попробуйте еще раз',
+            'print.contents': 'Содержание',
+
+            'feedback.question': 'Эта страница была полезна?',
+            'feedback.yes': 'Да',
+            'feedback.no': 'Нет',
+            'feedback.comment': 'Комментарий (необязательно)',
+            'feedback.placeholderUp': 'Что помогло больше всего?',
+            'feedback.placeholderDown': 'Что устарело, неверно или непонятно? Например, пример, который больше не работает.',
+            'feedback.send': 'Отправить отзыв',
+            'feedback.sending': 'Отправляем…',
+            'feedback.thanks': 'Спасибо за отзыв!',
+            'feedback.github': 'Завершите отправку в заполненном issue на GitHub',
+            'feedback.already': 'Вы уже оценили эту страницу. Спасибо!',
+            'feedback.limited': 'Слишком много отзывов за короткое время. Попробуйте через несколько минут.',
+            'feedback.failed': 'Не удалось отправить отзыв. Попробуйте позже.'
+        }
+    };
+
+    const LANG = getLang();
+    const pluralRules = new Intl.PluralRules(LANG);
+
+    // Функция для определения языка страницы: "ru", "ru-RU" -> "ru"; неизвестный язык - английский
+    function getLang() {
+        const lang = (document.documentElement.lang || '').toLowerCase().split('-')[0];
+        return STRINGS[lang] ? lang : 'en';
+    }
+
+    // Функция для получения строки: t('nav.sectionPosition', { index: 4, total: 10, title: 'Saga Pattern' }).
+    // Строки, которой нет в таблице языка, берется из английской
+    function t(key, params) {
+        let template = key in STRINGS[LANG] ? STRINGS[LANG][key] : STRINGS.en[key];
+        if (template === undefined) {
+            console.warn('Missing UI string:', key);
+            return key;
+        }
+        if (typeof template === 'object') {
+            template = template[pluralRules.select(params.count)] || template.other;
+        }
+        return template.replace(/\{(\w+)\}/g, (match, name) =>
+            params && name in params ? String(params[name]) : match);
+    }
+
+    window.docsI18n = {
+        lang: LANG,
+        languages: LANGUAGES,
+        t: t
+    };
+})();
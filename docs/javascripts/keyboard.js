@@ -0,0 +1,223 @@
+// Горячие клавиши для перехода между страницами документации и справка по ним ("?")
+(function() {
+    'use strict';
+
+    const t = window.docsI18n.t;
+
+    // Клавиши Material for MkDocs не занимаем: поиск (f, s, /) и переход по страницам (p, n, ",", ".")
+    const SHORTCUTS = [
+        { key: '[', action: 'prev', description: t('keys.prev') },
+        { key: ']', action: 'next', description: t('keys.next') },
+        { key: '{', action: 'prevSection', description: t('keys.prevSection') },
+        { key: '}', action: 'nextSection', description: t('keys.nextSection') },
+        { key: 'u', action: 'up', description: t('keys.up') },
+        { key: 'h', action: 'home', description: t('keys.home') },
+        // Только для справки: палитру открывает palette.js, а здесь сочетания с Ctrl не обрабатываются
+        { key: 'Ctrl+K', action: 'palette', description: t('keys.palette') },
+        { key: '?', action: 'help', description: t('keys.help') }
+    ];
+
+    // Подсказки на плитках навигации
+    const TILE_SHORTCUTS = {
+        '.nav-tile-prev': '[',
+        '.nav-tile-up': 'u',
+        '.nav-tile-next': ']'
+    };
+
+    // На других раскладках (например, русской) символы отличаются - смотрим на физическую клавишу
+    const CODE_KEYS = {
+        BracketLeft: ['[', '{'],
+        BracketRight: [']', '}'],
+        KeyU: ['u', 'u'],
+        KeyH: ['h', 'h']
+    };
+
+    let state = null;
+    let overlay = null;
+    let lastFocus = null;
+
+    // Функция для проверки, что пользователь сейчас вводит текст
+    function isTyping(target) {
+        if (!(target instanceof Element)) {
+            return false;
+        }
+        return target.isContentEditable ||
+            target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])') !== null;
+    }
+
+    function isSearchOpen() {
+        const toggle = document.querySelector('[data-md-toggle="search"]');
+        return Boolean(toggle && toggle.checked);
+    }
+
+    // Функция для поиска начала предыдущего/следующего раздела, в котором нет текущей страницы
+    function findSectionStart(step) {
+        const nav = window.docsNavigation;
+        const current = state.pageInfo.current;
+        for (let i = state.pageInfo.index + step; i >= 0 && i < state.pageOrder.length; i += step) {
+            const page = state.pageOrder[i];
+            if (nav.isSectionStart(state.pageOrder, page) &&
+                !nav.isWithinSection(current.sections || [], page.sections)) {
+                return page;
+            }
+        }
+        return null;
+    }
+
+    function getTarget(action) {
+        const pageInfo = state.pageInfo;
+        switch (action) {
+            case 'prev':
+                return pageInfo.prev;
+            case 'next':
+                return pageInfo.next;
+            case 'prevSection':
+                return findSectionStart(-1);
+            case 'nextSection':
+                return findSectionStart(1);
+            case 'up':
+                return pageInfo.section ? pageInfo.section.overview : null;
+            case 'home':
+                return pageInfo.current.path === 'index'
+                    ? null
+                    : state.pageOrder.find(page => page.path === 'index') || null;
+            default:
+                return null;
+        }
+    }
+
+    // Функция для создания окна со списком горячих клавиш
+    function createOverlay() {
+        const element = document.createElement('div');
+        element.className = 'keyboard-help';
+        element.hidden = true;
+        const rows = SHORTCUTS.map(shortcut => `
+                    <tr>
+                        <td><kbd>${shortcut.key}</kbd></td>
+                        <td>${shortcut.description}</td>
+                    </tr>`).join('');
+        element.innerHTML = `
+            <div class="keyboard-help__dialog md-typeset" role="dialog" aria-modal="true" aria-labelledby="keyboard-help-title" tabindex="-1">
+                <div class="keyboard-help__header">
+                    <h2 id="keyboard-help-title" class="keyboard-help__title">${t('keys.title')}</h2>
+                    <button type="button" class="keyboard-help__close" aria-label="${t('common.close')}">×</button>
+                </div>
+                <table class="keyboard-help__list">
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+                <p class="keyboard-help__note">${t('keys.note')}</p>
+            </div>
+        `;
+
+        element.addEventListener('click', event => {
+            if (event.target === element || event.target.closest('.keyboard-help__close')) {
+                closeHelp();
+            }
+        });
+        document.body.appendChild(element);
+        return element;
+    }
+
+    function openHelp() {
+        if (!overlay || !overlay.isConnected) {
+            overlay = createOverlay();
+        }
+        lastFocus = document.activeElement;
+        overlay.hidden = false;
+        overlay.querySelector('.keyboard-help__dialog').focus();
+    }
+
+    function closeHelp() {
+        if (!overlay || overlay.hidden) {
+            return;
+        }
+        overlay.hidden = true;
+        if (lastFocus && lastFocus.isConnected) {
+            lastFocus.focus();
+        }
+        lastFocus = null;
+    }
+
+    function isHelpOpen() {
+        return Boolean(overlay && !overlay.hidden);
+    }
+
+    function getKey(event) {
+        if (SHORTCUTS.some(item => item.key === event.key)) {
+            return event.key;
+        }
+        const keys = CODE_KEYS[event.code];
+        return keys ? keys[event.shiftKey ? 1 : 0] : event.key;
+    }
+
+    function onKeydown(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+
+        // Пока открыта справка, обрабатываем только ее закрытие и удерживаем фокус внутри
+        if (isHelpOpen()) {
+            if (event.key === 'Escape' || event.key === '?') {
+                event.preventDefault();
+                closeHelp();
+            } else if (event.key === 'Tab') {
+                event.preventDefault();
+                overlay.querySelector('.keyboard-help__close').focus();
+            }
+            return;
+        }
+
+        if (isTyping(event.target) || isSearchOpen()) {
+            return;
+        }
+
+        const key = getKey(event);
+        const shortcut = SHORTCUTS.find(item => item.key === key);
+        if (!shortcut) {
+            return;
+        }
+
+        if (shortcut.action === 'help') {
+            event.preventDefault();
+            openHelp();
+            return;
+        }
+
+        if (!state || !state.pageInfo.current) {
+            return;
+        }
+        const target = getTarget(shortcut.action);
+        if (target) {
+            event.preventDefault();
+            window.docsNavigation.followPage(target);
+        }
+    }
+
+    // Функция для добавления подсказок с клавишами на плитки навигации
+    function annotateTiles() {
+        Object.keys(TILE_SHORTCUTS).forEach(selector => {
+            const link = document.querySelector(selector + ' .nav-tile-link');
+            if (link) {
+                const key = TILE_SHORTCUTS[selector];
+                link.setAttribute('aria-keyshortcuts', key);
+                link.title = t('keys.tileHint', { key: key });
+            }
+        });
+    }
+
+    function init() {
+        if (!window.docsNavigation) {
+            return;
+        }
+
+        window.docsNavigation.onPage(detail => {
+            state = detail;
+            closeHelp();
+            annotateTiles();
+        });
+        document.addEventListener('keydown', onKeydown);
+    }
+
+    init();
+})();
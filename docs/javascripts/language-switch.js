@@ -0,0 +1,97 @@
+// Переключатель языка в шапке: ведет на ту же страницу в другой языковой версии документации,
+// а если ее там нет - на главную этой версии. Версии без navigation.json на сайте не показываются
+(function() {
+    'use strict';
+
+    const manifests = new Map();
+
+    // Функция для определения корня каждой языковой версии от корня текущей
+    // (английская - в корне сайта, русская - в ru/, см. LANGUAGES в i18n.js)
+    function getLanguageRoots(siteBase) {
+        const i18n = window.docsI18n;
+        const own = i18n.languages.find(item => item.lang === i18n.lang) || i18n.languages[0];
+        const depth = own.root.split('/').filter(Boolean).length;
+        const top = new URL('../'.repeat(depth) || './', siteBase).href;
+        return i18n.languages
+            .filter(item => item !== own)
+            .map(item => ({ lang: item.lang, name: item.name, base: new URL(item.root, top).href }));
+    }
+
+    // Манифест навигации другой версии: есть он - версия опубликована, и по нему ищем ту же страницу
+    function loadManifest(base) {
+        if (!manifests.has(base)) {
+            manifests.set(base, fetch(new URL('navigation.json', base).href)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(() => null));
+        }
+        return manifests.get(base);
+    }
+
+    function getSwitch() {
+        let element = document.querySelector('.lang-switch');
+        if (!element) {
+            const header = document.querySelector('.md-header__inner');
+            if (!header) {
+                return null;
+            }
+            element = document.createElement('nav');
+            element.className = 'lang-switch';
+            element.setAttribute('aria-label', window.docsI18n.t('language.label'));
+            element.hidden = true;
+            header.insertBefore(element, header.querySelector('.md-search'));
+        }
+        return element;
+    }
+
+    function render(current) {
+        const nav = window.docsNavigation;
+        const element = getSwitch();
+        if (!element || !nav.siteBase) {
+            return;
+        }
+
+        const languages = getLanguageRoots(nav.siteBase);
+        Promise.all(languages.map(language => loadManifest(language.base))).then(results => {
+            const links = [];
+            languages.forEach((language, index) => {
+                const manifest = results[index];
+                if (!manifest) {
+                    return;
+                }
+                const page = current && manifest.pages.find(item => item.path === current.path);
+                const link = document.createElement('a');
+                link.className = 'lang-switch__link';
+                link.href = new URL(page ? page.url : '', language.base).href;
+                link.hreflang = language.lang;
+                link.lang = language.lang;
+                link.textContent = language.lang.toUpperCase();
+                link.title = window.docsI18n.t('language.switch', { name: language.name });
+                // Другая версия - отдельный сайт со своим поиском и манифестом: instant navigation
+                // Material не должна подменять страницу, нужна обычная загрузка
+                link.addEventListener('click', event => event.stopPropagation());
+                links.push(link);
+            });
+            const own = document.createElement('span');
+            own.className = 'lang-switch__current';
+            own.setAttribute('aria-current', 'true');
+            own.textContent = window.docsI18n.lang.toUpperCase();
+            element.replaceChildren(own, ...links);
+            element.hidden = links.length === 0;
+        });
+    }
+
+    function init() {
+        const nav = window.docsNavigation;
+        if (!nav || !window.docsI18n) {
+            return;
+        }
+        nav.onPage(detail => render(detail.pageInfo.current));
+    }
+
+    init();
+})();
@@ -0,0 +1,116 @@
+// Вкладки с вариантами примеров под разные библиотеки моделей (Pydantic, Dataclasses, attrs, msgspec...).
+// Выбор читателя запоминается в localStorage и применяется на всех страницах, где такой вариант есть
+(function() {
+    'use strict';
+
+    // Разметка: <div class="model-flavours" markdown> с блоками кода, у каждого title="<библиотека>"
+    const STORAGE_KEY = 'docs-model-flavour';
+    // Без localStorage выбор живет до перезагрузки страницы
+    const storedFlavour = window.docsNavigation.createStoredValue('localStorage', STORAGE_KEY, null);
+
+    let groupId = 0;
+
+    function getFlavour(label) {
+        return label.toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    // Функция для превращения группы блоков кода во вкладки
+    function createGroup(container) {
+        const blocks = Array.from(container.children).filter(child => child.querySelector(':scope > .filename'));
+        if (blocks.length < 2) {
+            return;
+        }
+
+        const id = ++groupId;
+        const tabs = document.createElement('div');
+        tabs.className = 'model-flavours__tabs';
+        tabs.setAttribute('role', 'tablist');
+        tabs.setAttribute('aria-label', window.docsI18n.t('flavours.label'));
+
+        blocks.forEach((block, index) => {
+            const label = block.querySelector(':scope > .filename').textContent.trim();
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'model-flavours__tab';
+            tab.id = `model-flavour-${id}-${index}`;
+            tab.dataset.flavour = getFlavour(label);
+            tab.textContent = label;
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-controls', `model-flavour-panel-${id}-${index}`);
+            tabs.appendChild(tab);
+
+            block.id = `model-flavour-panel-${id}-${index}`;
+            block.dataset.flavour = tab.dataset.flavour;
+            block.setAttribute('role', 'tabpanel');
+            block.setAttribute('aria-labelledby', tab.id);
+        });
+
+        tabs.addEventListener('click', event => {
+            const tab = event.target.closest('.model-flavours__tab');
+            if (tab) {
+                choose(tab);
+            }
+        });
+        tabs.addEventListener('keydown', onKeydown);
+
+        container.insertBefore(tabs, container.firstChild);
+        container.classList.add('model-flavours--ready');
+        select(container, storedFlavour.get());
+    }
+
+    // Функция для показа варианта в группе; если такого нет - показываем первый (вариант по умолчанию)
+    function select(container, flavour) {
+        const tabs = Array.from(container.querySelectorAll('.model-flavours__tab'));
+        const active = tabs.find(tab => tab.dataset.flavour === flavour) || tabs[0];
+        tabs.forEach(tab => {
+            const selected = tab === active;
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+            document.getElementById(tab.getAttribute('aria-controls')).hidden = !selected;
+        });
+    }
+
+    // Выбор применяется ко всем группам страницы; страница не должна "прыгать" под нажатой вкладкой
+    function choose(tab) {
+        const top = tab.getBoundingClientRect().top;
+        storedFlavour.set(tab.dataset.flavour);
+        document.querySelectorAll('.model-flavours--ready').forEach(container => {
+            select(container, tab.dataset.flavour);
+        });
+        window.scrollBy(0, tab.getBoundingClientRect().top - top);
+    }
+
+    // Стрелки, Home и End переключают вкладки, как в WAI-ARIA tabs
+    function onKeydown(event) {
+        const tabs = Array.from(event.currentTarget.querySelectorAll('.model-flavours__tab'));
+        const index = tabs.indexOf(document.activeElement);
+        if (index === -1) {
+            return;
+        }
+        const targets = {
+            ArrowLeft: (index - 1 + tabs.length) % tabs.length,
+            ArrowRight: (index + 1) % tabs.length,
+            Home: 0,
+            End: tabs.length - 1
+        };
+        if (!(event.key in targets)) {
+            return;
+        }
+        event.preventDefault();
+        const tab = tabs[targets[event.key]];
+        choose(tab);
+        tab.focus();
+    }
+
+    function initGroups() {
+        document.querySelectorAll('.model-flavours:not(.model-flavours--ready)').forEach(createGroup);
+    }
+
+    if (window.document$ && typeof window.document$.subscribe === 'function') {
+        window.document$.subscribe(initGroups);
+    } else if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initGroups);
+    } else {
+        initGroups();
+    }
+})();
@@ -2,366 +2,621 @@
 (function() {
     'use strict';
 
-    // Функция для получения структуры навигации из MkDocs
-    function getNavigationStructure() {
-        // Получаем данные навигации из глобальной переменной MkDocs
-        if (typeof window.nav !== 'undefined') {
-            return window.nav;
+    // Корень сайта определяем один раз при загрузке: документацию публикуют под разными префиксами
+    // (GitHub Pages, внутренние зеркала, превью PR, nginx за проксирующим прокси)
+    const SITE_BASE = getSiteBase();
+
+    // Манифест навигации генерируется при сборке (hooks/navigation.py) из nav в mkdocs.yml
+    // и лежит в корне сайта
+    const MANIFEST_URL = SITE_BASE ? new URL('navigation.json', SITE_BASE).href : null;
+
+    // Подписи плиток - из таблицы строк на языке страницы (i18n.js); названия разделов и страниц
+    // приходят из манифеста, то есть из nav той языковой версии, которую собрали
+    const t = window.docsI18n.t;
+
+    // Функция для определения абсолютного URL корня сайта (с завершающим слешем)
+    function getSiteBase() {
+        // Material for MkDocs кладет на страницу путь к корню сайта относительно текущей страницы.
+        // При instant navigation этот блок не обновляется, поэтому читаем его только при первой загрузке
+        const config = document.getElementById('__config');
+        if (config) {
+            try {
+                const base = JSON.parse(config.textContent).base;
+                if (typeof base === 'string') {
+                    return new URL(base.replace(/\/?$/, '/'), window.location.href).href;
+                }
+            } catch (e) {
+                // Некорректный JSON - пробуем остальные способы
+            }
         }
-        
-        // Альтернативный способ - парсим из DOM
-        const navItems = document.querySelectorAll('.md-nav__item');
+
+        // Явно заданный <base href>
+        const baseElement = document.querySelector('base[href]');
+        if (baseElement) {
+            return new URL('./', baseElement.href).href;
+        }
+
+        // Скрипт лежит в javascripts/ в корне сайта
+        if (document.currentScript && document.currentScript.src) {
+            return new URL('../', document.currentScript.src).href;
+        }
+        return null;
+    }
+
+    // Отладка: ?navdebug=1 включает (на время жизни страницы), ?navdebug=0 выключает,
+    // постоянно - флаг в localStorage: localStorage.setItem('docs-navdebug', '1')
+    const DEBUG_PARAM = 'navdebug';
+    const DEBUG_KEY = 'docs-navdebug';
+    const DEBUG = isDebugEnabled();
+
+    let navigationPromise = null;
+
+    function isDebugEnabled() {
+        const param = new URLSearchParams(window.location.search).get(DEBUG_PARAM);
+        if (param !== null) {
+            return param !== '0';
+        }
+        try {
+            return window.localStorage.getItem(DEBUG_KEY) === '1';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function debugLog(...args) {
+        if (DEBUG) {
+            console.log('[navigation]', ...args);
+        }
+    }
+
+    // Функция для загрузки порядка страниц и учебных маршрутов (один раз за сессию страницы)
+    function loadNavigationStructure() {
+        if (!navigationPromise) {
+            navigationPromise = (MANIFEST_URL ? fetch(MANIFEST_URL) : Promise.reject(new Error('no script URL')))
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('HTTP ' + response.status);
+                    }
+                    return response.json();
+                })
+                .then(manifest => ({
+                    source: MANIFEST_URL,
+                    pages: manifest.pages,
+                    learningPaths: manifest.learningPaths || []
+                }))
+                .catch(error => {
+                    // Последний вариант - порядок из бокового меню Material на текущей странице
+                    console.warn('Navigation manifest is unavailable, using sidebar:', error);
+                    return { source: 'sidebar', pages: getNavigationStructure(), learningPaths: [] };
+                });
+        }
+        return navigationPromise;
+    }
+
+    // Функция для получения структуры навигации из DOM (боковое меню Material)
+    function getNavigationStructure() {
         const structure = [];
-        
-        navItems.forEach(item => {
-            const link = item.querySelector('.md-nav__link');
+        const root = document.querySelector('.md-nav--primary > .md-nav__list');
+        if (root) {
+            collectNavItems(root, [], structure);
+        }
+        return structure;
+    }
+
+    function collectNavItems(list, sections, result) {
+        Array.from(list.children).forEach(item => {
+            const nested = item.querySelector(':scope > nav > .md-nav__list');
+            if (item.classList.contains('md-nav__item--nested') && nested) {
+                const label = item.querySelector(':scope > .md-nav__link');
+                const title = label ? label.textContent.trim() : '';
+                collectNavItems(nested, title ? sections.concat(title) : sections, result);
+                return;
+            }
+
+            const link = item.querySelector(':scope > a.md-nav__link');
             if (link && link.href) {
-                structure.push({
+                const url = getSiteRelativePath(new URL(link.href).pathname);
+                const path = normalizeUrl(url);
+                result.push({
                     title: link.textContent.trim(),
-                    url: link.href,
-                    children: []
+                    path: path || 'index',
+                    url: url,
+                    sections: sections
                 });
             }
         });
-        
-        return structure;
     }
 
-    // Функция для получения текущей страницы и соседних страниц
-    function getCurrentPageInfo() {
-        const currentUrl = window.location.pathname;
-        console.log('Current URL:', currentUrl);
-        const nav = getNavigationStructure();
-        
-        // Если у нас есть доступ к MkDocs навигации
-        if (typeof window.nav !== 'undefined' && window.nav) {
-            const flatNav = flattenNavigation(window.nav);
-            const currentIndex = flatNav.findIndex(item => 
-                item.url && currentUrl.includes(item.url.split('/').pop())
-            );
-            
-            if (currentIndex !== -1) {
-                return {
-                    current: flatNav[currentIndex],
-                    prev: currentIndex > 0 ? flatNav[currentIndex - 1] : null,
-                    next: currentIndex < flatNav.length - 1 ? flatNav[currentIndex + 1] : null
-                };
+    // Функция для получения пути страницы относительно корня сайта: "/docs/cqrs/saga/recovery/" -> "saga/recovery/"
+    function getSiteRelativePath(pathname) {
+        const basePath = SITE_BASE ? new URL(SITE_BASE).pathname : '/';
+        if (pathname.startsWith(basePath)) {
+            return pathname.slice(basePath.length);
+        }
+        // Страница вне корня сайта (например, base определился неверно) - используем путь целиком
+        return pathname.replace(/^\/+/, '');
+    }
+
+    // Функция для нормализации URL страницы: одинаковый вид для use_directory_urls true и false
+    // ("saga/recovery/", "saga/recovery.html", "saga/index.html" -> "saga/recovery", "saga/recovery", "saga")
+    function normalizeUrl(url) {
+        return url
+            .replace(/(^|\/)index\.html$/, '$1')
+            .replace(/\.html$/, '')
+            .replace(/\/+$/, '')
+            .replace(/^\/+/, '');
+    }
+
+    // Правила сопоставления текущего URL со страницей манифеста, в порядке приоритета
+    const MATCH_RULES = [
+        {
+            // URL страницы из MkDocs (с учетом use_directory_urls)
+            name: 'url',
+            test: (page, urlToCheck) => typeof page.url === 'string' && normalizeUrl(page.url) === urlToCheck
+        },
+        {
+            // Путь исходного файла: "saga/recovery", "saga/index" -> "saga"
+            name: 'path',
+            test: (page, urlToCheck) => page.path === urlToCheck ||
+                page.path.replace(/(^|\/)index$/, '') === urlToCheck
+        }
+    ];
+
+    // Функция для поиска текущей страницы в порядке навигации
+    function findCurrentPage(pageOrder, urlToCheck) {
+        for (const rule of MATCH_RULES) {
+            const index = pageOrder.findIndex(page => rule.test(page, urlToCheck));
+            if (index !== -1) {
+                return { index: index, rule: rule.name };
             }
         }
-        
-        // Fallback - используем реальный порядок страниц из MkDocs навигации
-        // Используем относительные ссылки, как генерирует MkDocs
-        // Порядок должен соответствовать структуре nav в mkdocs.yml
-        const pageOrder = [
-            // Home
-            { title: 'Home', url: '../', path: 'index' },
-            // Bootstrap
-            { title: 'Bootstrap', url: 'bootstrap/', path: 'bootstrap/index' },
-            { title: 'Request Mediator', url: 'bootstrap/request_mediator/', path: 'bootstrap/request_mediator' },
-            { title: 'Streaming Mediator', url: 'bootstrap/streaming_mediator/', path: 'bootstrap/streaming_mediator' },
-            { title: 'Event Mediator', url: 'bootstrap/event_mediator/', path: 'bootstrap/event_mediator' },
-            { title: 'Saga Mediator', url: 'bootstrap/saga_mediator/', path: 'bootstrap/saga_mediator' },
-            { title: 'Message Brokers', url: 'bootstrap/message_brokers/', path: 'bootstrap/message_brokers' },
-            { title: 'Middlewares', url: 'bootstrap/middlewares/', path: 'bootstrap/middlewares' },
-            { title: 'DI Containers', url: 'bootstrap/di_containers/', path: 'bootstrap/di_containers' },
-            { title: 'Advanced', url: 'bootstrap/advanced/', path: 'bootstrap/advanced' },
-            // Dependency Injection
-            { title: 'Dependency Injection', url: 'di/', path: 'di' },
-            // Request Handler
-            { title: 'Commands / Requests Handling', url: 'request_handler/', path: 'request_handler/index' },
-            { title: 'Request Handler Fallback', url: 'request_handler/fallback/', path: 'request_handler/fallback' },
-            // Request / Response Types
-            { title: 'Request / Response Types', url: 'request_response_types/', path: 'request_response_types/index' },
-            { title: 'Pydantic', url: 'request_response_types/pydantic/', path: 'request_response_types/pydantic' },
-            { title: 'Dataclasses', url: 'request_response_types/dataclasses/', path: 'request_response_types/dataclasses' },
-            { title: 'Standard Classes', url: 'request_response_types/standard_classes/', path: 'request_response_types/standard_classes' },
-            { title: 'NamedTuple', url: 'request_response_types/namedtuple/', path: 'request_response_types/namedtuple' },
-            { title: 'Attrs', url: 'request_response_types/attrs/', path: 'request_response_types/attrs' },
-            { title: 'Msgspec', url: 'request_response_types/msgspec/', path: 'request_response_types/msgspec' },
-            { title: 'TypedDict', url: 'request_response_types/typeddict/', path: 'request_response_types/typeddict' },
-            { title: 'Mixed Usage', url: 'request_response_types/mixed_usage/', path: 'request_response_types/mixed_usage' },
-            { title: 'Best Practices', url: 'request_response_types/best_practices/', path: 'request_response_types/best_practices' },
-            // Stream Handling
-            { title: 'Stream Handling', url: 'stream_handling/', path: 'stream_handling/index' },
-            { title: 'Stream Configuration', url: 'stream_handling/configuration/', path: 'stream_handling/configuration' },
-            { title: 'Stream FastAPI Integration', url: 'stream_handling/fastapi_integration/', path: 'stream_handling/fastapi_integration' },
-            { title: 'Stream Reference', url: 'stream_handling/reference/', path: 'stream_handling/reference' },
-            { title: 'Stream Handling Fallback', url: 'stream_handling/fallback/', path: 'stream_handling/fallback' },
-            // Chain of Responsibility
-            { title: 'Chain of Responsibility', url: 'chain_of_responsibility/', path: 'chain_of_responsibility/index' },
-            { title: 'CoR Examples', url: 'chain_of_responsibility/examples/', path: 'chain_of_responsibility/examples' },
-            { title: 'CoR Advanced', url: 'chain_of_responsibility/advanced/', path: 'chain_of_responsibility/advanced' },
-            { title: 'CoR Fallback', url: 'chain_of_responsibility/fallback/', path: 'chain_of_responsibility/fallback' },
-            // Saga
-            { title: 'Saga Pattern', url: 'saga/', path: 'saga/index' },
-            { title: 'Saga Flow Diagrams', url: 'saga/flow/', path: 'saga/flow' },
-            { title: 'Saga Storage', url: 'saga/storage/', path: 'saga/storage' },
-            { title: 'Saga Recovery', url: 'saga/recovery/', path: 'saga/recovery' },
-            { title: 'Saga Compensation', url: 'saga/compensation/', path: 'saga/compensation' },
-            { title: 'Saga Fallback Pattern', url: 'saga/fallback/', path: 'saga/fallback/index' },
-            { title: 'Saga Fallback Mechanics', url: 'saga/fallback/mechanics/', path: 'saga/fallback/mechanics' },
-            { title: 'Saga Fallback Circuit Breaker', url: 'saga/fallback/circuit_breaker/', path: 'saga/fallback/circuit_breaker' },
-            { title: 'Saga Fallback Examples', url: 'saga/fallback/examples/', path: 'saga/fallback/examples' },
-            { title: 'Saga Examples', url: 'saga/examples/', path: 'saga/examples' },
-            // Event Handler
-            { title: 'Events Handling', url: 'event_handler/', path: 'event_handler/index' },
-            { title: 'Event Flow', url: 'event_handler/event_flow/', path: 'event_handler/event_flow' },
-            { title: 'Runtime Processing', url: 'event_handler/runtime_processing/', path: 'event_handler/runtime_processing' },
-            { title: 'Parallel Processing', url: 'event_handler/parallel_processing/', path: 'event_handler/parallel_processing' },
-            { title: 'Event Types', url: 'event_handler/event_types/', path: 'event_handler/event_types' },
-            { title: 'Event Examples', url: 'event_handler/examples/', path: 'event_handler/examples' },
-            { title: 'Event Best Practices', url: 'event_handler/best_practices/', path: 'event_handler/best_practices' },
-            { title: 'Event Handler Fallback', url: 'event_handler/fallback/', path: 'event_handler/fallback' },
-            // Outbox
-            { title: 'Transaction Outbox', url: 'outbox/', path: 'outbox/index' },
-            { title: 'Outbox Implementation', url: 'outbox/implementation/', path: 'outbox/implementation' },
-            { title: 'Outbox Usage', url: 'outbox/usage/', path: 'outbox/usage' },
-            { title: 'Outbox Examples', url: 'outbox/examples/', path: 'outbox/examples' },
-            { title: 'Outbox Best Practices', url: 'outbox/best_practices/', path: 'outbox/best_practices' },
-            // Integrations
-            { title: 'FastAPI Integration', url: 'fastapi/', path: 'fastapi' },
-            { title: 'FastStream Integration', url: 'faststream/', path: 'faststream' },
-            { title: 'Event Producing', url: 'event_producing/', path: 'event_producing' },
-            { title: 'Protobuf Integration', url: 'protobuf/', path: 'protobuf' }
-        ];
-        
+        return { index: -1, rule: null };
+    }
+
+    // Функция для получения текущей страницы и соседних страниц
+    function getCurrentPageInfo(pageOrder) {
+        const currentUrl = window.location.pathname;
+        debugLog('Current URL:', currentUrl);
+
         // Нормализуем текущий URL для сравнения
-        const normalizedUrl = currentUrl.replace(/\/index\.html$/, '').replace(/\/$/, '');
-        
-        // Убираем префикс python-cqrs-mkdocs если есть
-        let urlToCheck = normalizedUrl;
-        if (urlToCheck.includes('/python-cqrs-mkdocs/')) {
-            urlToCheck = urlToCheck.split('/python-cqrs-mkdocs/')[1] || '';
-        } else if (urlToCheck.startsWith('/python-cqrs-mkdocs')) {
-            urlToCheck = urlToCheck.replace('/python-cqrs-mkdocs', '');
-        }
-        // Нормализуем: убираем завершающие слеши и index
-        urlToCheck = urlToCheck.replace(/\/+$/, '').replace(/\/index\.html$/, '').replace(/\/index$/, '').replace(/^\/+/, '');
-        
-        const currentIndex = pageOrder.findIndex(page => {
-            // Для главной страницы проверяем специальные случаи
-            if (page.path === 'index') {
-                return urlToCheck === '' || urlToCheck === '/';
-            }
-            
-            // Нормализуем путь страницы для сравнения
-            const normalizedPath = page.path.replace(/\/$/, '');
-            
-            // Если путь заканчивается на /index, проверяем также вариант без /index
-            const pathWithoutIndex = normalizedPath.replace(/\/index$/, '');
-            
-            // Проверяем точное совпадение пути
-            if (urlToCheck === normalizedPath || urlToCheck === pathWithoutIndex) {
-                return true;
-            }
-            
-            // Для страниц в подпапках - проверяем совпадение последней части пути
-            const pathParts = normalizedPath.split('/');
-            const urlParts = urlToCheck.split('/').filter(p => p);
-            
-            // Если URL заканчивается на имя папки, а путь страницы заканчивается на имя_папки/index
-            // Например: urlToCheck = "bootstrap", path = "bootstrap/index"
-            if (pathParts.length === urlParts.length + 1 && pathParts[pathParts.length - 1] === 'index') {
-                let matches = true;
-                for (let i = 0; i < urlParts.length; i++) {
-                    if (pathParts[i] !== urlParts[i]) {
-                        matches = false;
-                        break;
-                    }
-                }
-                if (matches) return true;
-            }
-            
-            // Проверяем совпадение в конце URL (для случаев с завершающими слешами)
-            if (urlToCheck.endsWith('/' + normalizedPath) || urlToCheck.endsWith('/' + normalizedPath + '/') ||
-                urlToCheck.endsWith('/' + pathWithoutIndex) || urlToCheck.endsWith('/' + pathWithoutIndex + '/')) {
-                return true;
-            }
-            
-            // Сравниваем последние части пути
-            if (pathParts.length > 0 && urlParts.length > 0) {
-                const lastPathPart = pathParts[pathParts.length - 1];
-                const lastUrlPart = urlParts[urlParts.length - 1];
-                
-                // Если последняя часть совпадает
-                if (lastPathPart === lastUrlPart || lastPathPart === lastUrlPart.replace('.html', '')) {
-                    // Проверяем, что предыдущие части пути тоже совпадают
-                    if (pathParts.length === urlParts.length) {
-                        let matches = true;
-                        for (let i = 0; i < pathParts.length - 1; i++) {
-                            if (pathParts[i] !== urlParts[i]) {
-                                matches = false;
-                                break;
-                            }
-                        }
-                        if (matches) return true;
-                    }
-                }
-            }
-            
-            return false;
-        });
+        const urlToCheck = normalizeUrl(getSiteRelativePath(currentUrl));
+        const found = findCurrentPage(pageOrder, urlToCheck);
+        const currentIndex = found.index;
+        const match = { url: currentUrl, normalized: urlToCheck, rule: found.rule };
         
         if (currentIndex !== -1) {
-            console.log('Found page at index:', currentIndex, pageOrder[currentIndex]);
-            console.log('URL checked:', urlToCheck, 'Path:', pageOrder[currentIndex].path);
+            debugLog('Found page at index:', currentIndex, 'rule:', found.rule, pageOrder[currentIndex]);
             return {
                 current: pageOrder[currentIndex],
+                index: currentIndex,
                 prev: currentIndex > 0 ? pageOrder[currentIndex - 1] : null,
-                next: currentIndex < pageOrder.length - 1 ? pageOrder[currentIndex + 1] : null
+                next: currentIndex < pageOrder.length - 1 ? pageOrder[currentIndex + 1] : null,
+                section: getSectionInfo(pageOrder, pageOrder[currentIndex]),
+                learningPath: null,
+                match: match
             };
         }
         
         // Если не найдено, выводим отладочную информацию
-        console.log('Page not found! URL:', currentUrl, 'Normalized:', urlToCheck);
-        console.log('Available paths:', pageOrder.map(p => p.path).slice(0, 10));
+        debugLog('Page not found! URL:', currentUrl, 'Normalized:', urlToCheck);
+        debugLog('Available paths:', pageOrder.map(p => p.path));
         
-        // Специальная обработка для главной страницы (если не найдена в pageOrder)
-        if (currentIndex === -1 && (currentUrl === '/' || currentUrl.endsWith('/python-cqrs-mkdocs/') || currentUrl.endsWith('/python-cqrs-mkdocs') || currentUrl.endsWith('/index.html') || currentUrl.endsWith('/python-cqrs-mkdocs/index.html'))) {
-            console.log('Using special handling for home page');
-            return {
-                current: pageOrder[0], // Home
-                prev: null,
-                next: pageOrder[1] // Commands / Requests Handling
-            };
+        return { current: null, index: -1, prev: null, next: null, section: null, learningPath: null, match: match };
+    }
+
+    // Функция для получения заголовка страницы для плитки:
+    // обзорные страницы разделов ("Overview") показываем под именем раздела
+    function getPageTitle(page) {
+        if (page.path !== 'index' && /(^|\/)index$/.test(page.path) && page.sections && page.sections.length) {
+            return page.sections[page.sections.length - 1];
         }
-        
-        return { current: null, prev: null, next: null };
-    }
-
-    // Функция для "сплющивания" иерархической навигации
-    function flattenNavigation(nav, result = []) {
-        if (Array.isArray(nav)) {
-            nav.forEach(item => {
-                if (item.url) {
-                    result.push({
-                        title: item.title,
-                        url: item.url
-                    });
+        return page.title;
+    }
+
+    // Функция для проверки, что страница с цепочкой разделов sections лежит внутри раздела section
+    function isWithinSection(sections, section) {
+        return section.length <= sections.length && section.every((title, i) => sections[i] === title);
+    }
+
+    function isSameSection(a, b) {
+        return a.length === b.length && isWithinSection(a, b);
+    }
+
+    // Функция для проверки, что страница открывает свой раздел (первая в нем по порядку)
+    function isSectionStart(pageOrder, page) {
+        const sections = page.sections || [];
+        return sections.length > 0 && pageOrder.find(item => isWithinSection(item.sections || [], sections)) === page;
+    }
+
+    // Функция для поиска обзорной страницы ближайшего раздела (не совпадающей с самой страницей)
+    function findSectionOverview(pageOrder, page) {
+        const sections = page.sections || [];
+        for (let depth = sections.length; depth > 0; depth--) {
+            const section = sections.slice(0, depth);
+            const overview = pageOrder.find(item =>
+                /(^|\/)index$/.test(item.path) && isSameSection(item.sections || [], section)
+            );
+            if (overview && overview !== page) {
+                return overview;
+            }
+        }
+        return null;
+    }
+
+    // Функция для получения положения страницы внутри ее раздела (с учетом вложенных подразделов)
+    function getSectionInfo(pageOrder, page) {
+        const sections = page.sections || [];
+        if (sections.length === 0) {
+            return null;
+        }
+        const pages = pageOrder.filter(item => isWithinSection(item.sections || [], sections));
+        return {
+            title: sections[sections.length - 1],
+            sections: sections,
+            index: pages.indexOf(page),
+            total: pages.length,
+            overview: findSectionOverview(pageOrder, page),
+            isStart: pages[0] === page
+        };
+    }
+
+    // Функция для значения в localStorage или sessionStorage (storageName), записанного как JSON. Хранилище
+    // может быть недоступно (приватный режим, запрет cookies) - тогда значение живет в памяти до перезагрузки.
+    // Общая для всех скриптов (docsNavigation.createStoredValue)
+    function createStoredValue(storageName, key, fallback) {
+        let memory = fallback;
+        return {
+            get() {
+                try {
+                    const value = JSON.parse(window[storageName].getItem(key));
+                    return value === null ? memory : value;
+                } catch (e) {
+                    return memory;
                 }
-                if (item.children) {
-                    flattenNavigation(item.children, result);
+            },
+            set(value) {
+                memory = value === null ? fallback : value;
+                try {
+                    if (value === null) {
+                        window[storageName].removeItem(key);
+                    } else {
+                        window[storageName].setItem(key, JSON.stringify(value));
+                    }
+                } catch (e) {
+                    // Остается значение в памяти
                 }
-            });
+            }
+        };
+    }
+
+    // Внешние API (звезды и версии у ссылок на проекты, отправка отзывов) можно подменить локальной заглушкой
+    // параметром в URL; адрес запоминается в localStorage, пустой параметр сбрасывает его. Принимаются только
+    // адреса localhost: иначе чужая ссылка с таким параметром навсегда отправляла бы запросы читателя на свой сервер
+    const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+    function isLoopback(url) {
+        try {
+            return LOOPBACK_HOSTS.includes(new URL(url).hostname);
+        } catch (e) {
+            return false;
         }
-        return result;
     }
 
-    // Функция для получения правильного относительного пути
-    function getRelativeUrl(targetPage, currentUrl) {
-        // Используем path из pageOrder вместо url для более точного построения путей
-        const targetPath = targetPage.path || targetPage.url || targetPage;
-        
-        // Нормализуем текущий URL - убираем префикс python-cqrs-mkdocs и нормализуем
-        let normalizedCurrent = currentUrl.replace(/\/index\.html$/, '').replace(/\/$/, '');
-        normalizedCurrent = normalizedCurrent.replace(/^\/python-cqrs-mkdocs/, '').replace(/^\/+/, '');
-        
-        // Если это главная страница
-        if (targetPath === 'index' || targetPath === '../' || targetPath === 'index.html' || targetPath === '') {
-            const currentDepth = normalizedCurrent.split('/').filter(p => p && p !== 'index.html').length;
-            if (currentDepth === 0) {
-                return './';
-            }
-            // В MkDocs с use_directory_urls главная страница - это просто относительный путь вверх
-            return '../'.repeat(currentDepth);
+    // Функция для адреса заглушки из ?<param>= или localStorage[key]; null - подмены нет
+    function getLocalOverride(param, key) {
+        const stored = createStoredValue('localStorage', key, null);
+        let value = new URLSearchParams(window.location.search).get(param);
+        if (value && !isLoopback(value)) {
+            console.warn(`?${param}= must point to localhost:`, value);
+            value = null;
         }
-        
-        // Получаем части путей
-        const currentParts = normalizedCurrent.split('/').filter(part => part && part !== 'python-cqrs-mkdocs' && part !== 'index.html');
-        let targetParts = targetPath.split('/').filter(part => part && part !== 'index.html');
-        
-        // В MkDocs с use_directory_urls страницы с path заканчивающимся на 'index' 
-        // доступны без '/index' в URL (например, 'stream_handling/index' -> 'stream_handling/')
-        // Убираем 'index' из конца пути для правильного построения URL
-        if (targetParts.length > 0 && targetParts[targetParts.length - 1] === 'index') {
-            targetParts = targetParts.slice(0, -1);
+        if (value !== null) {
+            stored.set(value || null);
         }
+        const override = value || stored.get();
+        return override && isLoopback(override) ? override : null;
+    }
+
+    // Учебные маршруты (data/learning_paths.yml): выбранный маршрут хранится, пока читатель из него не выйдет
+    const LEARNING_PATH_KEY = 'docs-learning-path';
+    const LEARNING_PATH_PARAM = 'learning-path';
+    const storedLearningPath = createStoredValue('localStorage', LEARNING_PATH_KEY, null);
+
+    // Функция для получения активного маршрута; ?learning-path=<id> выбирает его, пустое значение - выходит
+    function getActiveLearningPath(learningPaths) {
+        const url = new URL(window.location.href);
+        const requested = url.searchParams.get(LEARNING_PATH_PARAM);
+        if (requested !== null) {
+            storedLearningPath.set(learningPaths.some(item => item.id === requested) ? requested : null);
+            // Убираем параметр, чтобы он не включил маршрут снова после выхода из него
+            url.searchParams.delete(LEARNING_PATH_PARAM);
+            history.replaceState(history.state, '', url.href);
+        }
+        const id = storedLearningPath.get();
+        return learningPaths.find(item => item.id === id) || null;
+    }
+
+    // Функция для замены соседних страниц на шаги маршрута, если текущая страница в него входит
+    function applyLearningPath(pageOrder, pageInfo, learningPath) {
+        const steps = learningPath.pages
+            .map(path => pageOrder.find(page => page.path === path))
+            .filter(Boolean);
+        const index = steps.indexOf(pageInfo.current);
+        pageInfo.learningPath = {
+            id: learningPath.id,
+            title: learningPath.title,
+            steps: steps,
+            index: index
+        };
+        if (index !== -1) {
+            pageInfo.prev = steps[index - 1] || null;
+            pageInfo.next = steps[index + 1] || null;
+        }
+    }
+
+    // Функция для экранирования текста в HTML-разметке; общая для всех скриптов (docsNavigation.escapeHtml)
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Функция для получения абсолютного URL страницы от корня сайта
+    function getPageUrl(targetPage) {
+        const url = typeof targetPage === 'string' ? targetPage : targetPage.url;
+        return new URL(url || '', SITE_BASE || window.location.href).href;
+    }
+
+    // Функция для получения правильного относительного пути от текущей страницы
+    function getRelativeUrl(targetPage, currentUrl) {
+        const target = new URL(getPageUrl(targetPage)).pathname;
+
+        // Папка текущей страницы и путь к цели, разбитые на части ("/a/b/" и "/a/b.html" лежат в "/a/b/" и "/a/")
+        const currentParts = currentUrl.split('/').slice(0, -1);
+        const targetParts = target.split('/');
+        const targetFile = targetParts.pop();
         
         // Находим общий префикс
         let commonDepth = 0;
-        for (let i = 0; i < Math.min(currentParts.length, targetParts.length); i++) {
-            if (currentParts[i] === targetParts[i]) {
-                commonDepth++;
-            } else {
-                break;
-            }
+        while (commonDepth < currentParts.length && commonDepth < targetParts.length &&
+            currentParts[commonDepth] === targetParts[commonDepth]) {
+            commonDepth++;
         }
         
-        // Вычисляем сколько уровней нужно подняться
-        const levelsUp = currentParts.length - commonDepth;
-        
-        // Вычисляем путь от общего предка до цели
-        const targetPathFromCommon = targetParts.slice(commonDepth).join('/');
+        // Поднимаемся до общего предка и спускаемся к цели
+        const relativePath = '../'.repeat(currentParts.length - commonDepth) +
+            targetParts.slice(commonDepth).map(part => part + '/').join('') +
+            targetFile;
         
-        // Строим относительный путь
-        if (levelsUp === 0 && targetPathFromCommon === '') {
-            return './';
-        }
-        
-        // Строим путь, избегая двойных слешей
-        let relativePath = '';
-        if (levelsUp > 0) {
-            relativePath = '../'.repeat(levelsUp);
-        }
-        if (targetPathFromCommon) {
-            relativePath += targetPathFromCommon + '/';
+        return relativePath || './';
+    }
+
+    // Функция для создания одной плитки: заголовок страницы и раздел, в котором она лежит
+    function createTile(className, page, label, icon) {
+        const relativeUrl = getRelativeUrl(page, window.location.pathname);
+        const breadcrumb = (page.sections || []).join(' › ');
+        const iconHtml = `<span class="nav-tile-icon">${icon}</span>`;
+        const contentHtml = `
+                    <div class="nav-tile-content">
+                        <span class="nav-tile-label">${escapeHtml(label)}</span>
+                        <span class="nav-tile-title">${escapeHtml(getPageTitle(page))}</span>
+                        ${breadcrumb ? `<span class="nav-tile-section">${escapeHtml(breadcrumb)}</span>` : ''}
+                    </div>`;
+
+        const card = document.createElement('article');
+        card.className = 'md-typeset nav-tile ' + className;
+        card.innerHTML = `
+                <a href="${relativeUrl}" class="nav-tile-link">
+                    ${className === 'nav-tile-next' ? contentHtml + iconHtml : iconHtml + contentHtml}
+                </a>
+            `;
+        return card;
+    }
+
+    // Функция для создания строки прогресса: "4 of 10 in Saga Pattern" или "Step 3 of 7 in Sagas end-to-end"
+    function createProgress(breadcrumb, position, ratio) {
+        const progress = document.createElement('div');
+        progress.className = 'nav-tiles-progress';
+        progress.innerHTML = `
+                <span class="nav-tiles-breadcrumb">${escapeHtml(breadcrumb)}</span>
+                <span class="nav-tiles-position">${escapeHtml(position)}</span>
+                <span class="nav-tiles-progress-bar" aria-hidden="true"><span style="width: ${Math.round(ratio * 100)}%"></span></span>
+            `;
+        return progress;
+    }
+
+    function createSectionProgress(section) {
+        return createProgress(
+            section.sections.join(' › '),
+            t('nav.sectionPosition', { index: section.index + 1, total: section.total, title: section.title }),
+            (section.index + 1) / section.total
+        );
+    }
+
+    function createLearningPathProgress(learningPath) {
+        return createProgress(
+            t('nav.learningPath'),
+            t('nav.pathPosition', { index: learningPath.index + 1, total: learningPath.steps.length, title: learningPath.title }),
+            (learningPath.index + 1) / learningPath.steps.length
+        );
+    }
+
+    // Переходим через ссылку в документе, чтобы ее перехватила instant navigation Material
+    function followPage(page) {
+        const link = document.createElement('a');
+        link.href = getRelativeUrl(page, window.location.pathname);
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    // Функция для создания выбора учебного маршрута под плитками
+    function createLearningPathControls(pageOrder, pageInfo, learningPaths) {
+        const active = pageInfo.learningPath;
+        const controls = document.createElement('div');
+        controls.className = 'nav-tiles-paths';
+
+        const options = learningPaths.map(item => `
+                        <option value="${escapeHtml(item.id)}" title="${escapeHtml(item.description)}"${active && active.id === item.id ? ' selected' : ''}>${escapeHtml(t('nav.pathOption', { title: item.title, count: item.pages.length }))}</option>`).join('');
+        controls.innerHTML = `
+                <label class="nav-tiles-paths-picker">
+                    <span>${escapeHtml(t('nav.learningPath'))}</span>
+                    <select>
+                        <option value="">${escapeHtml(t('nav.fullOrder'))}</option>${options}
+                    </select>
+                </label>
+                ${active && active.index === -1 && active.steps.length ? `<a class="nav-tiles-paths-resume" href="${getRelativeUrl(active.steps[0], window.location.pathname)}">${escapeHtml(t('nav.pathResume'))}</a>` : ''}
+                ${active ? `<button type="button" class="nav-tiles-paths-exit">${escapeHtml(t('nav.pathExit'))}</button>` : ''}
+            `;
+
+        controls.querySelector('select').addEventListener('change', event => {
+            const learningPath = learningPaths.find(item => item.id === event.target.value) || null;
+            storedLearningPath.set(learningPath ? learningPath.id : null);
+            // Если текущей страницы нет в маршруте, начинаем с его первого шага
+            const firstStep = learningPath && pageOrder.find(page => page.path === learningPath.pages[0]);
+            if (learningPath && !learningPath.pages.includes(pageInfo.current.path) && firstStep) {
+                followPage(firstStep);
+            } else {
+                addNavigationButtons();
+            }
+        });
+
+        const exit = controls.querySelector('.nav-tiles-paths-exit');
+        if (exit) {
+            exit.addEventListener('click', () => {
+                storedLearningPath.set(null);
+                addNavigationButtons();
+            });
         }
-        
-        // Убираем двойные слеши
-        relativePath = relativePath.replace(/\/+/g, '/');
-        
-        return relativePath;
+        return controls;
     }
 
-    // Функция для создания плиток навигации вверху страницы
-    function createNavigationTiles(prevPage, nextPage) {
+    // Функция для создания плиток навигации внизу страницы
+    function createNavigationTiles(pageOrder, pageInfo, learningPaths) {
         const container = document.createElement('div');
         container.className = 'nav-tiles-container';
         
         const cards = [];
+        const current = pageInfo.current;
+        const section = pageInfo.section;
+        const learningPath = pageInfo.learningPath;
+
+        // Внутри учебного маршрута плитки ведут по его шагам
+        if (learningPath && learningPath.index !== -1) {
+            if (pageInfo.prev) {
+                cards.push(createTile('nav-tile-prev', pageInfo.prev, t('nav.previousStep'), '←'));
+            }
+            if (pageInfo.next) {
+                cards.push(createTile('nav-tile-next', pageInfo.next, t('nav.nextStep'), '→'));
+            }
+            container.appendChild(createLearningPathProgress(learningPath));
+            cards.forEach(card => container.appendChild(card));
+            container.appendChild(createLearningPathControls(pageOrder, pageInfo, learningPaths));
+            return container;
+        }
         
-        // Плитка "Предыдущая"
-        if (prevPage) {
-            const relativeUrl = getRelativeUrl(prevPage, window.location.pathname);
-            const card = document.createElement('article');
-            card.className = 'md-typeset nav-tile nav-tile-prev';
-            card.innerHTML = `
-                <a href="${relativeUrl}" class="nav-tile-link">
-                    <span class="nav-tile-icon">←</span>
-                    <div class="nav-tile-content">
-                        <span class="nav-tile-label">Previous</span>
-                        <span class="nav-tile-title">${prevPage.title}</span>
-                    </div>
-                </a>
-            `;
-            cards.push(card);
+        // Плитка "Предыдущая"; если текущая страница открывает раздел - предыдущая может быть из другого раздела
+        if (pageInfo.prev) {
+            const prevSections = pageInfo.prev.sections || [];
+            const leavesSection = section && section.isStart && prevSections.length > 0 &&
+                !isWithinSection(current.sections, prevSections);
+            cards.push(createTile('nav-tile-prev', pageInfo.prev, t(leavesSection ? 'nav.previousSection' : 'nav.previous'), '←'));
+        }
+
+        // Плитка "Наверх" - к обзору раздела
+        if (section && section.overview) {
+            cards.push(createTile('nav-tile-up', section.overview, t('nav.up'), '↑'));
         }
         
-        // Плитка "Следующая"
-        if (nextPage) {
-            const relativeUrl = getRelativeUrl(nextPage, window.location.pathname);
-            const card = document.createElement('article');
-            card.className = 'md-typeset nav-tile nav-tile-next';
-            card.innerHTML = `
-                <a href="${relativeUrl}" class="nav-tile-link">
-                    <div class="nav-tile-content">
-                        <span class="nav-tile-label">Next</span>
-                        <span class="nav-tile-title">${nextPage.title}</span>
-                    </div>
-                    <span class="nav-tile-icon">→</span>
-                </a>
-            `;
-            cards.push(card);
+        // Плитка "Следующая"; отдельно отмечаем переход в новый раздел
+        if (pageInfo.next) {
+            const nextSections = pageInfo.next.sections || [];
+            const startsSection = isSectionStart(pageOrder, pageInfo.next) && !isSameSection(nextSections, current.sections || []);
+            cards.push(createTile('nav-tile-next', pageInfo.next, t(startsSection ? 'nav.nextSection' : 'nav.next'), '→'));
         }
         
         if (cards.length > 0) {
+            if (section && section.total > 1) {
+                container.appendChild(createSectionProgress(section));
+            }
             cards.forEach(card => container.appendChild(card));
+            if (learningPaths.length > 0) {
+                container.appendChild(createLearningPathControls(pageOrder, pageInfo, learningPaths));
+            }
             return container;
         }
         
         return null;
     }
 
+    // Функция для обновления <link rel="prev/next"> в head по общему порядку навигации.
+    // Учебные маршруты сюда не попадают: это личный выбор читателя, а не структура документации
+    function updateHeadLinks(pageOrder, pageInfo) {
+        const neighbours = {
+            prev: pageOrder[pageInfo.index - 1] || null,
+            next: pageOrder[pageInfo.index + 1] || null
+        };
+        Object.keys(neighbours).forEach(rel => {
+            document.head.querySelectorAll(`link[rel="${rel}"]`).forEach(link => link.remove());
+            if (neighbours[rel]) {
+                const link = document.createElement('link');
+                link.rel = rel;
+                link.href = getPageUrl(neighbours[rel]);
+                document.head.appendChild(link);
+            }
+        });
+    }
+
+    // Функция для построения schema.org BreadcrumbList: Home -> обзоры разделов -> текущая страница.
+    // Разделы без обзорной страницы (например, Core Concepts) пропускаем - у элемента должен быть URL
+    function getBreadcrumbs(pageOrder, page) {
+        const home = pageOrder.find(item => item.path === 'index');
+        const crumbs = home && home !== page ? [{ name: home.title, page: home }] : [];
+        const sections = page.sections || [];
+        for (let depth = 1; depth <= sections.length; depth++) {
+            const section = sections.slice(0, depth);
+            const overview = pageOrder.find(item =>
+                /(^|\/)index$/.test(item.path) && isSameSection(item.sections || [], section)
+            );
+            if (overview && overview !== page) {
+                crumbs.push({ name: section[section.length - 1], page: overview });
+            }
+        }
+        crumbs.push({ name: getPageTitle(page), page: page });
+        return crumbs;
+    }
+
+    function updateStructuredData(pageOrder, pageInfo) {
+        const existing = document.getElementById('docs-breadcrumbs');
+        if (existing) {
+            existing.remove();
+        }
+        const crumbs = getBreadcrumbs(pageOrder, pageInfo.current);
+        if (crumbs.length < 2) {
+            return;
+        }
+
+        const script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = 'docs-breadcrumbs';
+        script.textContent = JSON.stringify({
+            '@context': 'https://schema.org',
+            '@type': 'BreadcrumbList',
+            itemListElement: crumbs.map((crumb, i) => ({
+                '@type': 'ListItem',
+                position: i + 1,
+                name: crumb.name,
+                item: getPageUrl(crumb.page)
+            }))
+        });
+        document.head.appendChild(script);
+    }
+
+    // Номер текущего рендера: при instant navigation ответ для старой страницы игнорируется
+    let renderId = 0;
 
     // Функция для добавления плиток навигации на страницу
     function addNavigationButtons() {
@@ -369,13 +624,37 @@
         if (!document.body) {
             return;
         }
+
+        const currentRender = ++renderId;
         
         // Добавляем плитки на все страницы, включая главную
-        const pageInfo = getCurrentPageInfo();
-        
-        if (pageInfo.current) {
+        loadNavigationStructure().then(manifest => {
+            if (currentRender !== renderId) {
+                return;
+            }
+
+            const pageOrder = manifest.pages;
+
+            // На странице должен остаться ровно один контейнер плиток
+            document.querySelectorAll('.nav-tiles-container').forEach(el => el.remove());
+
+            const pageInfo = getCurrentPageInfo(pageOrder);
+            if (!pageInfo.current) {
+                renderDiagnostics(manifest, pageInfo);
+                publishPage(pageOrder, pageInfo);
+                return;
+            }
+
+            updateHeadLinks(pageOrder, pageInfo);
+            updateStructuredData(pageOrder, pageInfo);
+
+            const learningPath = getActiveLearningPath(manifest.learningPaths);
+            if (learningPath) {
+                applyLearningPath(pageOrder, pageInfo, learningPath);
+            }
+
             // Создаем плитки навигации
-            const tiles = createNavigationTiles(pageInfo.prev, pageInfo.next);
+            const tiles = createNavigationTiles(pageOrder, pageInfo, manifest.learningPaths);
             
             if (tiles) {
                 // Ищем место для вставки плиток - в конце контента
@@ -391,169 +670,116 @@
                     }
                 }
             }
-        }
+
+            renderDiagnostics(manifest, pageInfo);
+            publishPage(pageOrder, pageInfo);
+        });
     }
 
-    // Функция для удаления стандартных кнопок навигации из подвала
-    function removeFooterNavigation() {
-        console.log('Attempting to remove footer navigation...');
-        
-        // Различные селекторы для навигационных элементов
-        const selectors = [
-            '.md-footer-nav',
-            '.md-footer-nav__link',
-            '.md-footer-nav__link--prev',
-            '.md-footer-nav__link--next',
-            '.md-footer__inner .md-footer-nav',
-            '.md-footer__inner > .md-footer-nav',
-            'nav.md-footer-nav',
-            'a.md-footer-nav__link',
-            '[rel="prev"]',
-            '[rel="next"]'
+    // Функция для отрисовки панели диагностики (только в режиме отладки): как был найден текущий URL
+    // и какие соседние страницы и относительные ссылки из этого получились
+    function renderDiagnostics(manifest, pageInfo) {
+        const existing = document.querySelector('.nav-debug');
+        if (existing) {
+            existing.remove();
+        }
+        if (!DEBUG) {
+            return;
+        }
+
+        const describe = page => page
+            ? `${escapeHtml(page.path)} <span class="nav-debug__muted">→ ${escapeHtml(getRelativeUrl(page, window.location.pathname))}</span>`
+            : '<span class="nav-debug__muted">none</span>';
+        const rows = [
+            ['Manifest', escapeHtml(manifest.source) + ` (${manifest.pages.length} pages)`],
+            ['Site base', escapeHtml(SITE_BASE || 'unknown')],
+            ['URL', escapeHtml(pageInfo.match.url)],
+            ['Normalized', escapeHtml(pageInfo.match.normalized) || '<span class="nav-debug__muted">(home)</span>'],
+            ['Matched rule', pageInfo.match.rule ? escapeHtml(pageInfo.match.rule) : '<strong>none - no tiles on this page</strong>'],
+            ['Current', pageInfo.current ? `#${pageInfo.index} ${escapeHtml(pageInfo.current.path)}` : '<span class="nav-debug__muted">none</span>'],
+            ['Learning path', pageInfo.learningPath ? escapeHtml(pageInfo.learningPath.id) : '<span class="nav-debug__muted">none</span>'],
+            ['Prev', describe(pageInfo.prev)],
+            ['Next', describe(pageInfo.next)],
+            ['Up', describe(pageInfo.section && pageInfo.section.overview)]
         ];
-        
-        let removedCount = 0;
-        
-        selectors.forEach(selector => {
-            try {
-                const elements = document.querySelectorAll(selector);
-                elements.forEach(el => {
-                    // Проверяем, что элемент действительно в подвале
-                    if (el.closest('.md-footer') || el.closest('footer')) {
-                        console.log('Removing element:', selector, el);
-                        el.remove();
-                        removedCount++;
-                    }
-                });
-            } catch (e) {
-                console.warn('Error with selector', selector, e);
+
+        const panel = document.createElement('aside');
+        panel.className = 'nav-debug';
+        panel.setAttribute('aria-label', 'Navigation diagnostics');
+        panel.innerHTML = `
+            <div class="nav-debug__header">
+                <strong>Navigation diagnostics</strong>
+                <button type="button" class="nav-debug__close" aria-label="Close">×</button>
+            </div>
+            <dl>${rows.map(row => `
+                <dt>${row[0]}</dt>
+                <dd>${row[1]}</dd>`).join('')}
+            </dl>
+        `;
+        panel.querySelector('.nav-debug__close').addEventListener('click', () => panel.remove());
+        document.body.appendChild(panel);
+    }
+
+    // Публичный API для остальных скриптов документации (горячие клавиши и т.п.)
+    const docsNavigation = {
+        pageOrder: null,
+        pageInfo: null,
+        siteBase: SITE_BASE,
+        getPageUrl: getPageUrl,
+        getRelativeUrl: getRelativeUrl,
+        escapeHtml: escapeHtml,
+        createStoredValue: createStoredValue,
+        getLocalOverride: getLocalOverride,
+        getPageTitle: getPageTitle,
+        followPage: followPage,
+        isWithinSection: isWithinSection,
+        isSectionStart: isSectionStart,
+
+        // Подписка на отрисовку навигации каждой страницы (сразу вызывается для уже отрисованной)
+        onPage(callback) {
+            document.addEventListener('docs:navigation', event => callback(event.detail));
+            if (this.pageInfo) {
+                callback({ pageOrder: this.pageOrder, pageInfo: this.pageInfo });
             }
-        });
-        
-        // Также удаляем через поиск по тексту (на случай, если классы другие)
-        const footer = document.querySelector('.md-footer') || document.querySelector('footer');
-        if (footer) {
-            // Удаляем все ссылки с rel="prev" или rel="next"
-            const relLinks = footer.querySelectorAll('a[rel="prev"], a[rel="next"]');
-            relLinks.forEach(link => {
-                if (!link.closest('.nav-tiles-container')) {
-                    console.log('Removing navigation link by rel attribute');
-                    link.remove();
-                    removedCount++;
-                }
-            });
-            
-            // Удаляем ссылки по тексту
-            const allLinks = footer.querySelectorAll('a');
-            allLinks.forEach(link => {
-                const text = link.textContent.trim().toLowerCase();
-                // Проверяем различные варианты текста
-                if ((text.includes('previous') || text.includes('next') || 
-                     text.includes('предыдущ') || text.includes('следующ')) &&
-                    !link.closest('.nav-tiles-container')) {
-                    // Дополнительная проверка - что это действительно навигация
-                    const parent = link.parentElement;
-                    if (parent && (
-                        parent.classList.contains('md-footer-nav') ||
-                        parent.classList.contains('md-footer-nav__link') ||
-                        parent.closest('.md-footer-nav')
-                    )) {
-                        console.log('Removing navigation link by text:', text);
-                        // Удаляем родительский элемент, если это контейнер навигации
-                        if (parent.classList.contains('md-footer-nav__link')) {
-                            parent.remove();
-                        } else {
-                            link.remove();
-                        }
-                        removedCount++;
-                    }
-                }
-            });
-            
-            // Удаляем пустые контейнеры навигации
-            const emptyNavs = footer.querySelectorAll('.md-footer-nav:empty, nav:empty');
-            emptyNavs.forEach(nav => nav.remove());
-        }
-        
-        // Удаляем родительские контейнеры, если они пустые
-        const footerNav = document.querySelector('.md-footer-nav');
-        if (footerNav && footerNav.children.length === 0) {
-            footerNav.remove();
-            removedCount++;
         }
-        
-        console.log('Removed', removedCount, 'footer navigation elements');
-        
-        return removedCount > 0;
+    };
+    window.docsNavigation = docsNavigation;
+
+    // Функция для оповещения подписчиков о навигации текущей страницы
+    function publishPage(pageOrder, pageInfo) {
+        docsNavigation.pageOrder = pageOrder;
+        docsNavigation.pageInfo = pageInfo;
+        document.dispatchEvent(new CustomEvent('docs:navigation', {
+            detail: { pageOrder: pageOrder, pageInfo: pageInfo }
+        }));
+    }
+
+    // Функция для удаления стандартных кнопок навигации из подвала.
+    // navigation.footer в mkdocs.yml выключен, так что обычно удалять нечего; это страховка на случай,
+    // если тема все же отрисует ссылки (скрыты они и в extra.css)
+    function removeFooterNavigation() {
+        document.querySelectorAll('.md-footer .md-footer__link, .md-footer .md-footer-nav').forEach(el => el.remove());
+    }
+
+    // Функция для отрисовки навигации текущей страницы (первая загрузка и каждый instant-переход)
+    function renderPage() {
+        addNavigationButtons();
+        removeFooterNavigation();
     }
 
     // Инициализация при загрузке страницы
     function init() {
-        // Функция для запуска удаления с повторными попытками
-        function attemptRemoveFooterNav(attempts = 0, maxAttempts = 15) {
-            const removed = removeFooterNavigation();
-            
-            // Если элементы не найдены и еще есть попытки, повторяем
-            if (attempts < maxAttempts) {
-                setTimeout(() => {
-                    attemptRemoveFooterNav(attempts + 1, maxAttempts);
-                }, 300);
-            }
-        }
-        
-        // Функция для полной инициализации
-        function fullInit() {
-            addNavigationButtons();
-            // Пробуем удалить с разными задержками
-            attemptRemoveFooterNav();
-        }
-        
-        // Ждем полной загрузки DOM
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', fullInit);
+        // Material for MkDocs с navigation.instant подменяет страницы без перезагрузки
+        // и сообщает о каждой новой странице через document$ (в том числе о первой)
+        if (window.document$ && typeof window.document$.subscribe === 'function') {
+            window.document$.subscribe(renderPage);
+        } else if (document.readyState === 'loading') {
+            // Ждем полной загрузки DOM
+            document.addEventListener('DOMContentLoaded', renderPage);
         } else {
             // Если DOM уже загружен, запускаем сразу
-            fullInit();
+            renderPage();
         }
-        
-        // Также ждем полной загрузки страницы (включая все ресурсы)
-        window.addEventListener('load', () => {
-            setTimeout(() => attemptRemoveFooterNav(), 500);
-        });
-        
-        // Также удаляем при изменении DOM (для SPA навигации)
-        const observer = new MutationObserver((mutations) => {
-            let shouldRemove = false;
-            mutations.forEach(mutation => {
-                mutation.addedNodes.forEach(node => {
-                    if (node.nodeType === 1) { // Element node
-                        if (node.classList && (
-                            node.classList.contains('md-footer-nav') ||
-                            node.classList.contains('md-footer-nav__link') ||
-                            (node.closest && node.closest('.md-footer'))
-                        )) {
-                            shouldRemove = true;
-                        }
-                        // Также проверяем дочерние элементы
-                        if (node.querySelector && (
-                            node.querySelector('.md-footer-nav') ||
-                            node.querySelector('.md-footer-nav__link')
-                        )) {
-                            shouldRemove = true;
-                        }
-                    }
-                });
-            });
-            
-            if (shouldRemove) {
-                setTimeout(() => attemptRemoveFooterNav(), 200);
-            }
-        });
-        
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true
-        });
     }
 
     // Запускаем инициализацию
@@ -0,0 +1,221 @@
+// Чтение без сети: по выбору читателя регистрирует service worker (sw.js в корне сайта), который
+// сохраняет весь сайт по offline.json, и показывает в подвале его состояние: сохранение, готово, обновление
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'docs-offline';
+    const CACHE_PREFIX = 'docs-offline-';
+    const t = window.docsI18n.t;
+
+    let registration = null;
+    let progress = null;
+    let failed = false;
+    let activating = false;
+
+    function isEnabled() {
+        try {
+            return window.localStorage.getItem(STORAGE_KEY) === '1';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function setEnabled(enabled) {
+        try {
+            if (enabled) {
+                window.localStorage.setItem(STORAGE_KEY, '1');
+            } else {
+                window.localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (e) {
+            // Без localStorage режим действует до перезагрузки страницы
+        }
+    }
+
+    function getSiteBase() {
+        return window.docsNavigation ? window.docsNavigation.siteBase : null;
+    }
+
+    // Функция для регистрации worker текущей сборки: версия в адресе скрипта заставляет браузер
+    // поставить новый worker после пересборки сайта. Без сети используем уже существующую регистрацию
+    function register() {
+        const base = getSiteBase();
+        failed = false;
+        return fetch(new URL('offline.json', base).href, { cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(manifest => navigator.serviceWorker.register(new URL(`sw.js?v=${manifest.version}`, base).href, {
+                scope: base,
+                updateViaCache: 'none'
+            }))
+            .catch(error => navigator.serviceWorker.getRegistration(base).then(existing => {
+                if (!existing) {
+                    throw error;
+                }
+                return existing;
+            }))
+            .then(result => {
+                registration = result;
+                watch(result);
+                render();
+            })
+            .catch(error => {
+                console.warn('Offline reading is unavailable:', error);
+                failed = true;
+                render();
+            });
+    }
+
+    function watchWorker(worker) {
+        if (worker) {
+            worker.addEventListener('statechange', render);
+        }
+    }
+
+    function watch(result) {
+        if (result.watched) {
+            return;
+        }
+        result.watched = true;
+        watchWorker(result.installing);
+        watchWorker(result.waiting);
+        result.addEventListener('updatefound', () => {
+            progress = null;
+            watchWorker(result.installing);
+            render();
+        });
+    }
+
+    // Функция для удаления сохраненной копии: снимаем регистрацию и чистим кэши worker
+    function disable() {
+        setEnabled(false);
+        const unregister = registration ? registration.unregister() : Promise.resolve();
+        registration = null;
+        progress = null;
+        unregister
+            .then(() => caches.keys())
+            .then(keys => Promise.all(keys.filter(key => key.startsWith(CACHE_PREFIX)).map(key => caches.delete(key))))
+            .catch(() => null)
+            .then(render);
+        render();
+    }
+
+    function activateUpdate() {
+        activating = true;
+        registration.waiting.postMessage({ type: 'offline-activate' });
+    }
+
+    // Функция для описания текущего состояния: текст и действие кнопки рядом с ним
+    function getState() {
+        if (!isEnabled()) {
+            return { text: '', action: t('offline.save'), onClick: () => {
+                setEnabled(true);
+                register();
+                render();
+            } };
+        }
+        if (failed) {
+            return { text: t('offline.failed'), action: t('offline.retry'), onClick: register };
+        }
+        if (registration && registration.waiting && navigator.serviceWorker.controller) {
+            return { text: t('offline.update'), action: t('offline.reload'), onClick: activateUpdate };
+        }
+        if (!registration || registration.installing || !registration.active) {
+            const text = progress
+                ? t('offline.progress', { percent: Math.floor(progress.done / progress.total * 100) })
+                : t('offline.saving');
+            return { text: text, action: null };
+        }
+        return {
+            text: navigator.onLine === false ? t('offline.offline') : t('offline.ready'),
+            action: t('offline.remove'),
+            onClick: disable,
+            ready: true
+        };
+    }
+
+    // Блок в подвале; при instant navigation Material подвал заменяется, поэтому создаем его заново
+    function getStatus() {
+        let element = document.querySelector('.offline-status');
+        if (!element) {
+            const footer = document.querySelector('.md-footer-meta__inner') || document.querySelector('.md-footer');
+            if (!footer) {
+                return null;
+            }
+            element = document.createElement('div');
+            element.className = 'offline-status';
+            element.innerHTML = `
+                <span class="offline-status__text" role="status"></span>
+                <button type="button" class="offline-status__action"></button>
+            `;
+            element.querySelector('.offline-status__action').addEventListener('click', () => {
+                const state = getState();
+                if (state.onClick) {
+                    state.onClick();
+                }
+            });
+            footer.appendChild(element);
+        }
+        return element;
+    }
+
+    function render() {
+        const element = getStatus();
+        if (!element) {
+            return;
+        }
+        const state = getState();
+        const text = element.querySelector('.offline-status__text');
+        const button = element.querySelector('.offline-status__action');
+        text.textContent = state.text;
+        text.hidden = !state.text;
+        button.textContent = state.action || '';
+        button.hidden = !state.action;
+        element.classList.toggle('offline-status--ready', Boolean(state.ready));
+    }
+
+    function init() {
+        if (!('serviceWorker' in navigator) || !('caches' in window) || !getSiteBase()) {
+            return;
+        }
+
+        navigator.serviceWorker.addEventListener('message', event => {
+            const data = event.data || {};
+            if (data.type === 'offline-progress') {
+                progress = data;
+                render();
+            } else if (data.type === 'offline-error') {
+                failed = true;
+                render();
+            }
+        });
+        // Новая версия включилась по кнопке "Reload" - перезагружаем страницу уже с нее
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (activating) {
+                window.location.reload();
+            } else {
+                render();
+            }
+        });
+        window.addEventListener('online', render);
+        window.addEventListener('offline', render);
+
+        if (isEnabled()) {
+            register();
+        }
+
+        if (window.document$ && typeof window.document$.subscribe === 'function') {
+            window.document$.subscribe(render);
+        } else if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', render);
+        } else {
+            render();
+        }
+    }
+
+    init();
+})();
@@ -0,0 +1,283 @@
+// Палитра команд (Ctrl+K / ⌘K): быстрый переход к странице по нечеткому совпадению с заголовком
+// и разделами из манифеста навигации, к заголовку текущей страницы и к недавно открытым страницам
+(function() {
+    'use strict';
+
+    const RECENT_KEY = 'docs-palette-recent';
+    const MAX_RECENT = 6;
+    const MAX_RESULTS = 12;
+    const HEADINGS_SELECTOR = '.md-content__inner h2[id], .md-content__inner h3[id], .md-content__inner h4[id]';
+    const t = window.docsI18n.t;
+    const escapeHtml = text => window.docsNavigation.escapeHtml(text);
+
+    let state = null;
+    let overlay = null;
+    let lastFocus = null;
+    let results = [];
+    let activeIndex = 0;
+    let recent = null;
+
+    function addRecent(path) {
+        recent.set([path].concat(recent.get().filter(item => item !== path)).slice(0, MAX_RECENT));
+    }
+
+    function normalize(text) {
+        return text.toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    // Функция для оценки одного слова запроса: подстрока с начала слова, просто подстрока,
+    // затем буквы по порядку с пропусками ("cirbr" -> "circuit breaker"); 0 - не совпало
+    function scoreToken(token, text) {
+        const index = text.indexOf(token);
+        if (index !== -1) {
+            return index === 0 || /[\s›/_-]/.test(text[index - 1]) ? 3 : 2;
+        }
+        let position = -1;
+        let gaps = 0;
+        for (const char of token) {
+            const next = text.indexOf(char, position + 1);
+            if (next === -1) {
+                return 0;
+            }
+            gaps += next - position - 1;
+            position = next;
+        }
+        return gaps <= token.length * 2 ? 1 : 0;
+    }
+
+    // Все слова запроса должны совпасть с "разделы › заголовок"; совпадения в самом заголовке весят больше
+    function scoreItem(tokens, item) {
+        let score = 0;
+        for (const token of tokens) {
+            const value = scoreToken(token, item.haystack);
+            if (value === 0) {
+                return 0;
+            }
+            score += value + (item.title.toLowerCase().includes(token) ? 1 : 0);
+        }
+        return score;
+    }
+
+    function getPageItems() {
+        const nav = window.docsNavigation;
+        return state.pageOrder.map((page, order) => {
+            const title = nav.getPageTitle(page);
+            const sections = (page.sections || []).join(' › ');
+            return {
+                kind: 'page',
+                page: page,
+                title: title,
+                detail: sections,
+                order: order,
+                haystack: normalize((sections ? sections + ' › ' : '') + title)
+            };
+        });
+    }
+
+    // Заголовки текущей страницы (без значка ¶ у ссылки на заголовок)
+    function getHeadingItems() {
+        return Array.from(document.querySelectorAll(HEADINGS_SELECTOR)).map((heading, order) => {
+            const clone = heading.cloneNode(true);
+            clone.querySelectorAll('.headerlink').forEach(link => link.remove());
+            const title = clone.textContent.trim();
+            return {
+                kind: 'heading',
+                id: heading.id,
+                title: title,
+                detail: '#' + heading.id,
+                order: order,
+                haystack: normalize(title)
+            };
+        });
+    }
+
+    // Функция для построения списка: без запроса - недавние страницы, иначе лучшие совпадения
+    function search(query) {
+        const tokens = normalize(query).split(' ').filter(Boolean);
+        const current = state.pageInfo.current;
+        if (tokens.length === 0) {
+            const pages = getPageItems();
+            const recentItems = recent.get()
+                .filter(path => !current || path !== current.path)
+                .map(path => pages.find(item => item.page.path === path))
+                .filter(Boolean);
+            return recentItems.map(item => Object.assign({ group: t('palette.recent') }, item));
+        }
+
+        const rank = (items, group) => items
+            .map(item => Object.assign({ group: group, score: scoreItem(tokens, item) }, item))
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score || a.order - b.order);
+        return rank(getPageItems(), t('palette.pages')).slice(0, MAX_RESULTS)
+            .concat(rank(getHeadingItems(), t('palette.headings')).slice(0, MAX_RESULTS));
+    }
+
+    function renderResults() {
+        const input = overlay.querySelector('.command-palette__input');
+        const list = overlay.querySelector('.command-palette__list');
+        results = search(input.value);
+        activeIndex = Math.min(activeIndex, Math.max(results.length - 1, 0));
+
+        let group = null;
+        list.innerHTML = results.map((item, index) => {
+            const header = item.group !== group
+                ? `<li class="command-palette__group" role="presentation">${escapeHtml(item.group)}</li>`
+                : '';
+            group = item.group;
+            return `${header}
+                <li class="command-palette__option" id="command-palette-option-${index}" role="option" data-index="${index}" aria-selected="${index === activeIndex}">
+                    <span class="command-palette__title">${escapeHtml(item.title)}</span>
+                    ${item.detail ? `<span class="command-palette__detail">${escapeHtml(item.detail)}</span>` : ''}
+                </li>`;
+        }).join('');
+
+        const empty = overlay.querySelector('.command-palette__empty');
+        empty.hidden = results.length > 0 || !input.value.trim();
+        input.setAttribute('aria-expanded', String(results.length > 0));
+        if (results.length > 0) {
+            input.setAttribute('aria-activedescendant', `command-palette-option-${activeIndex}`);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    function setActive(index) {
+        if (results.length === 0) {
+            return;
+        }
+        activeIndex = (index + results.length) % results.length;
+        overlay.querySelectorAll('.command-palette__option').forEach(option => {
+            option.setAttribute('aria-selected', String(Number(option.dataset.index) === activeIndex));
+        });
+        const option = document.getElementById(`command-palette-option-${activeIndex}`);
+        overlay.querySelector('.command-palette__input').setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Переход - через followPage, как у плиток: относительный URL и instant navigation Material
+    function choose(index) {
+        const item = results[index];
+        if (!item) {
+            return;
+        }
+        closePalette(false);
+        if (item.kind === 'page') {
+            window.docsNavigation.followPage(item.page);
+        } else {
+            window.location.hash = item.id;
+        }
+    }
+
+    function createOverlay() {
+        const element = document.createElement('div');
+        element.className = 'command-palette';
+        element.hidden = true;
+        element.innerHTML = `
+            <div class="command-palette__dialog" role="dialog" aria-modal="true" aria-label="${escapeHtml(t('palette.label'))}">
+                <input type="text" class="command-palette__input" role="combobox" aria-autocomplete="list"
+                    aria-controls="command-palette-list" aria-expanded="false" autocomplete="off" spellcheck="false"
+                    placeholder="${escapeHtml(t('palette.placeholder'))}" aria-label="${escapeHtml(t('palette.label'))}">
+                <ul class="command-palette__list" id="command-palette-list" role="listbox"></ul>
+                <p class="command-palette__empty" hidden>${escapeHtml(t('palette.empty'))}</p>
+                <p class="command-palette__hint">${escapeHtml(t('palette.hint'))}</p>
+            </div>
+        `;
+
+        const input = element.querySelector('.command-palette__input');
+        input.addEventListener('input', () => {
+            activeIndex = 0;
+            renderResults();
+        });
+        input.addEventListener('keydown', event => {
+            const moves = {
+                ArrowDown: activeIndex + 1,
+                ArrowUp: activeIndex - 1,
+                Home: 0,
+                End: results.length - 1
+            };
+            if (event.key in moves && (event.key.startsWith('Arrow') || !input.value)) {
+                event.preventDefault();
+                setActive(moves[event.key]);
+            } else if (event.key === 'Enter') {
+                event.preventDefault();
+                choose(activeIndex);
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                closePalette(true);
+            } else if (event.key === 'Tab') {
+                // Фокус остается в поле: по списку ходим стрелками
+                event.preventDefault();
+            }
+        });
+
+        element.addEventListener('click', event => {
+            const option = event.target.closest('.command-palette__option');
+            if (option) {
+                choose(Number(option.dataset.index));
+            } else if (event.target === element) {
+                closePalette(true);
+            }
+        });
+        document.body.appendChild(element);
+        return element;
+    }
+
+    function openPalette() {
+        if (!state || !state.pageOrder) {
+            return;
+        }
+        if (!overlay || !overlay.isConnected) {
+            overlay = createOverlay();
+        }
+        lastFocus = document.activeElement;
+        const input = overlay.querySelector('.command-palette__input');
+        input.value = '';
+        activeIndex = 0;
+        renderResults();
+        overlay.hidden = false;
+        input.focus();
+    }
+
+    function closePalette(restoreFocus) {
+        if (!overlay || overlay.hidden) {
+            return;
+        }
+        overlay.hidden = true;
+        if (restoreFocus && lastFocus && lastFocus.isConnected) {
+            lastFocus.focus();
+        }
+        lastFocus = null;
+    }
+
+    function onKeydown(event) {
+        if ((event.ctrlKey || event.metaKey) && !event.altKey && !event.shiftKey &&
+            (event.key.toLowerCase() === 'k' || event.code === 'KeyK')) {
+            event.preventDefault();
+            if (overlay && !overlay.hidden) {
+                closePalette(true);
+            } else {
+                openPalette();
+            }
+        }
+    }
+
+    function init() {
+        const nav = window.docsNavigation;
+        if (!nav) {
+            return;
+        }
+
+        // Недавние страницы - в localStorage, без него - до перезагрузки страницы
+        recent = nav.createStoredValue('localStorage', RECENT_KEY, []);
+        nav.onPage(detail => {
+            state = detail;
+            closePalette(false);
+            if (detail.pageInfo.current) {
+                addRecent(detail.pageInfo.current.path);
+            }
+        });
+        document.addEventListener('keydown', onKeydown);
+    }
+
+    init();
+})();
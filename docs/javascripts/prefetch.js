@@ -0,0 +1,116 @@
+// Предзагрузка соседних страниц из плиток навигации: в простое браузера и при наведении/фокусе на плитку
+(function() {
+    'use strict';
+
+    // Одновременно загружаем не больше двух страниц, чтобы не мешать загрузке текущей
+    const MAX_CONCURRENT = 2;
+    const SLOW_CONNECTIONS = ['slow-2g', '2g'];
+
+    const prefetched = new Set();
+    const queue = [];
+    let active = 0;
+
+    // Функция для проверки, что пользователь не против лишнего трафика
+    function canPrefetch() {
+        const connection = navigator.connection;
+        if (!connection) {
+            return true;
+        }
+        return !connection.saveData && !SLOW_CONNECTIONS.includes(connection.effectiveType);
+    }
+
+    function supportsLinkPrefetch() {
+        const link = document.createElement('link');
+        return Boolean(link.relList && link.relList.supports && link.relList.supports('prefetch'));
+    }
+
+    // <link rel="prefetch"> кладет страницу в кэш браузера; где он не поддерживается - обычный fetch
+    function load(url) {
+        if (supportsLinkPrefetch()) {
+            return new Promise(resolve => {
+                const link = document.createElement('link');
+                link.rel = 'prefetch';
+                link.as = 'document';
+                link.href = url;
+                link.addEventListener('load', resolve);
+                link.addEventListener('error', resolve);
+                document.head.appendChild(link);
+            });
+        }
+        return fetch(url, { credentials: 'same-origin' }).catch(() => null);
+    }
+
+    function runQueue() {
+        while (active < MAX_CONCURRENT && queue.length > 0) {
+            const url = queue.shift();
+            active++;
+            load(url).then(() => {
+                active--;
+                runQueue();
+            });
+        }
+    }
+
+    // Функция для постановки страницы в очередь предзагрузки (каждая страница - один раз)
+    function prefetch(url, urgent) {
+        const target = new URL(url, window.location.href);
+        target.hash = '';
+        if (target.origin !== window.location.origin || target.href === window.location.href.split('#')[0]) {
+            return;
+        }
+        if (prefetched.has(target.href) || !canPrefetch()) {
+            return;
+        }
+        prefetched.add(target.href);
+        if (urgent) {
+            queue.unshift(target.href);
+        } else {
+            queue.push(target.href);
+        }
+        runQueue();
+    }
+
+    function whenIdle(callback) {
+        if ('requestIdleCallback' in window) {
+            window.requestIdleCallback(callback, { timeout: 3000 });
+        } else {
+            setTimeout(callback, 1000);
+        }
+    }
+
+    function onPage(detail) {
+        const pageInfo = detail.pageInfo;
+        if (!pageInfo.current) {
+            return;
+        }
+
+        // Сначала следующая страница - по ней переходят чаще
+        whenIdle(() => {
+            ['.nav-tile-next', '.nav-tile-prev'].forEach(selector => {
+                const link = document.querySelector(selector + ' .nav-tile-link');
+                if (link) {
+                    prefetch(link.href, false);
+                }
+            });
+        });
+    }
+
+    function onIntent(event) {
+        const link = event.target instanceof Element && event.target.closest('.nav-tile-link');
+        if (link) {
+            prefetch(link.href, true);
+        }
+    }
+
+    function init() {
+        if (!window.docsNavigation) {
+            return;
+        }
+        window.docsNavigation.onPage(onPage);
+        // Делегирование: плитки пересоздаются на каждой странице
+        document.addEventListener('pointerover', onIntent, { passive: true });
+        document.addEventListener('focusin', onIntent);
+    }
+
+    init();
+})();
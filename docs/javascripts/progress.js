@@ -0,0 +1,258 @@
+// Прогресс чтения: посещенные страницы и глубина прокрутки хранятся только в localStorage браузера
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'docs-reading-progress';
+    // Страница считается прочитанной, когда прокручено 90% ее содержимого
+    const READ_DEPTH = 0.9;
+    const DEPTH_STEP = 0.05;
+    const escapeHtml = text => window.docsNavigation.escapeHtml(text);
+
+    // localStorage может быть недоступен (приватный режим, запрет cookie) - тогда просто ничего не сохраняем
+    function getStorage() {
+        try {
+            const storage = window.localStorage;
+            const testKey = STORAGE_KEY + '-test';
+            storage.setItem(testKey, testKey);
+            storage.removeItem(testKey);
+            return storage;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    const storage = getStorage();
+
+    let state = null;
+    let progress = null;
+    let scrollFrame = null;
+
+    function loadProgress() {
+        try {
+            const data = storage && JSON.parse(storage.getItem(STORAGE_KEY));
+            if (data && data.pages) {
+                return data;
+            }
+        } catch (e) {
+            // Поврежденные данные - начинаем заново
+        }
+        return { pages: {}, last: null };
+    }
+
+    function saveProgress() {
+        if (!storage) {
+            return;
+        }
+        try {
+            storage.setItem(STORAGE_KEY, JSON.stringify(progress));
+        } catch (e) {
+            // Переполнение квоты - прогресс останется только в памяти
+        }
+    }
+
+    function resetProgress() {
+        progress = { pages: {}, last: null };
+        if (storage) {
+            storage.removeItem(STORAGE_KEY);
+        }
+    }
+
+    function isRead(path) {
+        const entry = progress.pages[path];
+        return Boolean(entry && entry.read);
+    }
+
+    // Функция для вычисления доли прочитанного содержимого страницы
+    function measureDepth() {
+        const article = document.querySelector('.md-content__inner');
+        if (!article) {
+            return 0;
+        }
+        const rect = article.getBoundingClientRect();
+        if (rect.height <= 0) {
+            return 1;
+        }
+        return Math.min(1, Math.max(0, (window.innerHeight - rect.top) / rect.height));
+    }
+
+    function updateDepth() {
+        if (!state || !state.pageInfo.current) {
+            return;
+        }
+        const entry = progress.pages[state.pageInfo.current.path];
+        const depth = measureDepth();
+        if (depth < entry.depth + DEPTH_STEP && !(depth >= READ_DEPTH && !entry.read)) {
+            return;
+        }
+
+        entry.depth = Math.max(entry.depth, Math.round(depth * 100) / 100);
+        if (entry.depth >= READ_DEPTH && !entry.read) {
+            entry.read = true;
+            markSidebar();
+        }
+        saveProgress();
+    }
+
+    function onScroll() {
+        if (scrollFrame !== null) {
+            return;
+        }
+        scrollFrame = window.requestAnimationFrame(() => {
+            scrollFrame = null;
+            updateDepth();
+        });
+    }
+
+    // Функция для соответствия "URL ссылки в меню -> path страницы"
+    function getPathsByUrl() {
+        const nav = window.docsNavigation;
+        const paths = new Map();
+        state.pageOrder.forEach(page => {
+            const url = new URL(nav.getRelativeUrl(page, window.location.pathname), window.location.href);
+            paths.set(url.pathname, page.path);
+        });
+        return paths;
+    }
+
+    // Функция для отметки прочитанных страниц галочкой в боковом меню
+    function markSidebar() {
+        const paths = getPathsByUrl();
+        document.querySelectorAll('.md-nav--primary a.md-nav__link').forEach(link => {
+            const path = paths.get(new URL(link.href).pathname);
+            const mark = link.querySelector('.md-nav__read-mark');
+            if (path && isRead(path)) {
+                if (!mark) {
+                    const label = escapeHtml(window.docsI18n.t('progress.read'));
+                    link.insertAdjacentHTML('beforeend', `<span class="md-nav__read-mark" role="img" aria-label="${label}" title="${label}">✓</span>`);
+                }
+            } else if (mark) {
+                mark.remove();
+            }
+        });
+    }
+
+    // Функция для подсчета прочитанных страниц по разделам (разделы второго уровня, как в меню)
+    function getSectionSummary() {
+        const groups = new Map();
+        const nested = new Set(state.pageOrder
+            .filter(page => (page.sections || []).length > 1)
+            .map(page => page.sections[0]));
+        state.pageOrder.forEach(page => {
+            const sections = (page.sections || []).slice(0, 2);
+            if (sections.length === 0) {
+                return;
+            }
+            // Отдельная страница рядом с подразделами (Dependency Injection в Core Concepts) - своя строка
+            const standalone = sections.length === 1 && nested.has(sections[0]);
+            const key = standalone ? page.path : sections.join(' › ');
+            if (!groups.has(key)) {
+                const title = standalone ? window.docsNavigation.getPageTitle(page) : sections[sections.length - 1];
+                groups.set(key, { title: title, read: 0, total: 0 });
+            }
+            const group = groups.get(key);
+            group.total++;
+            if (isRead(page.path)) {
+                group.read++;
+            }
+        });
+        return Array.from(groups.values());
+    }
+
+    // Карточка "Continue reading" рядом со ссылками проекта на главной
+    function renderContinueCard() {
+        const links = document.querySelector('.project-links');
+        const nav = window.docsNavigation;
+        const page = progress.last && state.pageOrder.find(item => item.path === progress.last);
+        if (!links || !page) {
+            return;
+        }
+
+        const section = (page.sections || []).slice(-1)[0];
+        const card = document.createElement('a');
+        card.className = 'project-link continue-link';
+        card.href = nav.getRelativeUrl(page, window.location.pathname);
+        card.innerHTML = `
+            <span class="icon">📖</span>
+            <span class="text">${escapeHtml(window.docsI18n.t('progress.continue', { page: (section ? section + ' › ' : '') + nav.getPageTitle(page) }))}</span>
+        `;
+        links.appendChild(card);
+    }
+
+    // Сводка по разделам с кнопкой сброса прогресса
+    function renderSummary() {
+        const hero = document.querySelector('.hero-section');
+        if (!hero) {
+            return;
+        }
+
+        const rows = getSectionSummary().map(group => {
+            const percent = Math.round(group.read / group.total * 100);
+            return `
+                <li class="reading-progress__section">
+                    <span class="reading-progress__title">${escapeHtml(group.title)}</span>
+                    <span class="reading-progress__count">${group.read} / ${group.total}</span>
+                    <span class="reading-progress__bar" aria-hidden="true"><span style="width: ${percent}%"></span></span>
+                </li>`;
+        }).join('');
+
+        const summary = document.createElement('details');
+        summary.className = 'reading-progress';
+        summary.innerHTML = `
+            <summary>${escapeHtml(window.docsI18n.t('progress.summary'))}</summary>
+            <ul class="reading-progress__list">${rows}
+            </ul>
+            <button type="button" class="reading-progress__reset md-button">${escapeHtml(window.docsI18n.t('progress.reset'))}</button>
+        `;
+        summary.querySelector('.reading-progress__reset').addEventListener('click', () => {
+            resetProgress();
+            renderHome();
+            markSidebar();
+        });
+        hero.insertAdjacentElement('afterend', summary);
+    }
+
+    function renderHome() {
+        document.querySelectorAll('.continue-link, .reading-progress').forEach(el => el.remove());
+        if (state.pageInfo.current.path !== 'index') {
+            return;
+        }
+        // Показываем блоки только когда есть что показать, кроме самой главной
+        const visited = Object.keys(progress.pages).some(path => path !== 'index');
+        if (visited) {
+            renderContinueCard();
+            renderSummary();
+        }
+    }
+
+    function onPage(detail) {
+        state = detail;
+        const current = detail.pageInfo.current;
+        if (!current) {
+            return;
+        }
+
+        // Перечитываем хранилище: прогресс мог измениться в другой вкладке
+        progress = loadProgress();
+        const entry = progress.pages[current.path] || { depth: 0, read: false };
+        entry.visited = Date.now();
+        progress.pages[current.path] = entry;
+        if (current.path !== 'index') {
+            progress.last = current.path;
+        }
+        saveProgress();
+
+        updateDepth();
+        markSidebar();
+        renderHome();
+    }
+
+    function init() {
+        if (!storage || !window.docsNavigation) {
+            return;
+        }
+        window.docsNavigation.onPage(onPage);
+        window.addEventListener('scroll', onScroll, { passive: true });
+    }
+
+    init();
+})();
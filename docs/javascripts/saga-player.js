@@ -0,0 +1,398 @@
+// Пошаговое проигрывание диаграмм саги: блоки ```mermaid-saga``` рисуются как написаны и получают
+// кнопки Play/Step/Reset, которые по порядку подсвечивают сообщения диаграммы, и выбор шага, на котором
+// сага падает: тогда проигрывается построенный сценарий с компенсацией в обратном порядке
+(function() {
+    'use strict';
+
+    const PLAY_INTERVAL = 1400;
+
+    const t = window.docsI18n.t;
+    const escapeHtml = text => window.docsNavigation.escapeHtml(text);
+
+    const PARTICIPANT_RE = /^\s*(?:participant|actor)\s+(\S+)(?:\s+as\s+(.+?))?\s*$/;
+    const MESSAGE_RE = /^\s*([^\s\-]+)\s*--?(?:>>|>|x|\))[+-]?\s*([^\s:]+)\s*:\s*(.*?)\s*$/;
+    const NOTE_RE = /^\s*Note\s/i;
+    const FAILURE_RE = /error|exception/i;
+
+    let players = [];
+
+    // Функция для разбора исходной диаграммы: кто оркестратор, какие у него шаги и куда пишется журнал шагов.
+    // Сообщения исходника группируются в кадры проигрывания - вызов act()/compensate() вместе с ответом
+    // и записью в журнал, остальные сообщения (create_saga(), update_status(...), ответ клиенту) - каждое своим кадром
+    function parseSaga(source) {
+        const participants = new Map();
+        const messages = [];
+        let checkpoint = null;
+        let afterLog = false;
+
+        source.split('\n').forEach(line => {
+            const participant = line.match(PARTICIPANT_RE);
+            const message = line.match(MESSAGE_RE);
+            if (participant) {
+                participants.set(participant[1], { line: line.trim(), label: participant[2] || participant[1] });
+            } else if (message) {
+                messages.push({ from: message[1], to: message[2], text: message[3] });
+                afterLog = message[3].startsWith('log_step(');
+            } else if (afterLog && NOTE_RE.test(line)) {
+                // Заметка сразу после записи в журнал (например, "checkpoint: commit()") повторяется после каждого шага
+                checkpoint = checkpoint || line.trim();
+                afterLog = false;
+            } else if (line.trim()) {
+                afterLog = false;
+            }
+        });
+
+        const acts = messages.filter(message => message.text.startsWith('act('));
+        if (acts.length === 0) {
+            return null;
+        }
+        const orchestrator = acts[0].from;
+        const steps = acts.map(message => message.to).filter((step, index, all) => all.indexOf(step) === index);
+        const log = messages.find(message => message.from === orchestrator && message.text.startsWith('log_step('));
+        const first = messages[0];
+        const client = first.to === orchestrator && first.from !== orchestrator && !steps.includes(first.from)
+            ? first.from
+            : null;
+        const saga = {
+            participants: participants,
+            orchestrator: orchestrator,
+            steps: steps,
+            journal: log ? log.to : null,
+            checkpoint: log ? checkpoint : null,
+            client: client
+        };
+        saga.written = { source: source, frames: buildFrames(saga, messages), messageCount: messages.length };
+        return saga;
+    }
+
+    function getLabel(saga, id) {
+        const participant = saga.participants.get(id);
+        return participant ? participant.label : id;
+    }
+
+    // Функция для кадров диаграммы в том виде, в каком она написана
+    function buildFrames(saga, messages) {
+        const orchestrator = saga.orchestrator;
+        const client = saga.client;
+        const frames = [];
+        let current = null;
+        let failed = false;
+        let compensated = false;
+        messages.forEach((message, index) => {
+            const call = message.from === orchestrator && message.text.match(/^(act|compensate)\(/);
+            if (call) {
+                current = { kind: call[1], step: message.to, messages: [index] };
+                compensated = compensated || call[1] === 'compensate';
+                frames.push(current);
+            } else if (current && current.step && message.from === current.step && message.to === orchestrator) {
+                current.messages.push(index);
+                if (current.kind === 'act' && FAILURE_RE.test(message.text)) {
+                    current.kind = 'fail';
+                    failed = true;
+                }
+            } else if (current && current.step && message.from === orchestrator && message.text.startsWith('log_step(')) {
+                current.messages.push(index);
+            } else if (current && !current.step && message.from !== message.to &&
+                message.from === current.to && message.to === current.from) {
+                current.messages.push(index);
+            } else {
+                let caption = t('saga.message', {
+                    from: getLabel(saga, message.from),
+                    to: getLabel(saga, message.to),
+                    text: message.text
+                });
+                if (client && index === 0) {
+                    caption = t('saga.start', { client: getLabel(saga, client) });
+                } else if (client && message.to === client) {
+                    caption = failed
+                        ? t(compensated ? 'saga.compensated' : 'saga.nothingToCompensate')
+                        : t('saga.completed');
+                }
+                current = { kind: 'message', from: message.from, to: message.to, caption: caption, messages: [index] };
+                frames.push(current);
+            }
+        });
+
+        frames.forEach(frame => {
+            if (frame.kind === 'compensate') {
+                frame.caption = t('saga.compensate', {
+                    index: saga.steps.indexOf(frame.step) + 1,
+                    step: getLabel(saga, frame.step)
+                });
+            } else if (frame.step) {
+                frame.caption = t(frame.kind === 'fail' ? 'saga.actFails' : 'saga.actSucceeds', {
+                    index: saga.steps.indexOf(frame.step) + 1,
+                    total: saga.steps.length,
+                    step: getLabel(saga, frame.step)
+                });
+            }
+        });
+        return frames;
+    }
+
+    // Функция для построения диаграммы, в которой сага падает на шаге failAt: act() шагов 1..failAt,
+    // затем compensate() шагов failAt-1..1. Каждый кадр - группа сообщений (вызов, ответ, запись в журнал)
+    function buildScenario(saga, failAt) {
+        const lines = ['sequenceDiagram'];
+        const frames = [];
+        const total = saga.steps.length;
+        const orchestrator = saga.orchestrator;
+        let count = 0;
+
+        [saga.client, orchestrator, saga.journal].concat(saga.steps).filter(Boolean).forEach(id => {
+            const participant = saga.participants.get(id);
+            lines.push('    ' + (participant ? participant.line : 'participant ' + id));
+        });
+
+        function addFrame(kind, caption, messages) {
+            const indexes = [];
+            messages.forEach(message => {
+                lines.push('    ' + message);
+                if (!NOTE_RE.test(message)) {
+                    indexes.push(count++);
+                }
+            });
+            frames.push({ kind: kind, caption: caption, messages: indexes });
+        }
+
+        function journal(step, method, status) {
+            if (!saga.journal) {
+                return [];
+            }
+            const entry = `${orchestrator}->>${saga.journal}: log_step(${step}.${method}, ${status})`;
+            return saga.checkpoint ? [entry, saga.checkpoint] : [entry];
+        }
+
+        if (saga.client) {
+            addFrame('start', t('saga.start', { client: getLabel(saga, saga.client) }), [
+                `${saga.client}->>${orchestrator}: Execute saga(context)`
+            ]);
+        }
+
+        for (let i = 0; i < failAt; i++) {
+            const step = saga.steps[i];
+            const failed = i + 1 === failAt;
+            const caption = t(failed ? 'saga.actFails' : 'saga.actSucceeds', {
+                index: i + 1,
+                total: total,
+                step: getLabel(saga, step)
+            });
+            addFrame(failed ? 'fail' : 'act', caption, [
+                `${orchestrator}->>${step}: act(context)`,
+                `${step}-->>${orchestrator}: ${failed ? 'error' : 'success'}`
+            ].concat(journal(step, 'act', failed ? 'FAILED' : 'COMPLETED')));
+        }
+
+        if (failAt > 1) {
+            lines.push(`    Note over ${orchestrator}: Compensation (reverse order)`);
+            for (let i = failAt - 2; i >= 0; i--) {
+                const step = saga.steps[i];
+                addFrame('compensate', t('saga.compensate', { index: i + 1, step: getLabel(saga, step) }), [
+                    `${orchestrator}->>${step}: compensate(context)`,
+                    `${step}-->>${orchestrator}: done`
+                ].concat(journal(step, 'compensate', 'COMPLETED')));
+            }
+        }
+
+        const caption = t(failAt > 1 ? 'saga.compensated' : 'saga.nothingToCompensate');
+        if (saga.client) {
+            addFrame('end', caption, [`${orchestrator}-->>${saga.client}: Exception raised`]);
+        } else {
+            lines.push(`    Note over ${orchestrator}: Saga Failed`);
+            frames.push({ kind: 'end', caption: caption, messages: [] });
+        }
+
+        return { source: lines.join('\n'), frames: frames, messageCount: count };
+    }
+
+    // Функция для создания плеера вокруг исходного блока
+    function createPlayer(block) {
+        const saga = parseSaga(block.textContent);
+        if (!saga) {
+            return null;
+        }
+
+        const options = saga.steps.map((step, index) =>
+            `<option value="${index + 1}">${escapeHtml(t('saga.failAt', { index: index + 1, step: getLabel(saga, step) }))}</option>`).join('');
+        const element = document.createElement('div');
+        element.className = 'saga-player';
+        element.innerHTML = `
+            <div class="saga-player__controls">
+                <button type="button" class="md-button saga-player__play">${t('saga.play')}</button>
+                <button type="button" class="md-button saga-player__step">${t('saga.step')}</button>
+                <button type="button" class="md-button saga-player__reset">${t('saga.reset')}</button>
+                <label class="saga-player__scenario">
+                    <span>${t('saga.scenario')}</span>
+                    <select>
+                        <option value="0">${t('saga.asWritten')}</option>${options}
+                    </select>
+                </label>
+            </div>
+            <div class="saga-player__stage"></div>
+            <p class="saga-player__caption" aria-live="polite"></p>
+        `;
+        block.insertAdjacentElement('beforebegin', element);
+        element.appendChild(block);
+
+        const player = {
+            element: element,
+            saga: saga,
+            scenario: null,
+            edges: [],
+            position: -1,
+            timer: null
+        };
+
+        element.querySelector('.saga-player__play').addEventListener('click', () => togglePlay(player));
+        element.querySelector('.saga-player__step').addEventListener('click', () => {
+            stop(player);
+            step(player);
+        });
+        element.querySelector('.saga-player__reset').addEventListener('click', () => reset(player));
+        element.querySelector('.saga-player__scenario select').addEventListener('change', event => {
+            render(player, Number(event.target.value));
+        });
+
+        return player;
+    }
+
+    // Функция для отрисовки сценария: failAt = 0 - диаграмма как написана, иначе номер упавшего шага.
+    // Исходный блок остается на странице, пока Mermaid не загрузился
+    function render(player, failAt) {
+        stop(player);
+        const scenario = failAt > 0 ? buildScenario(player.saga, failAt) : player.saga.written;
+        player.scenario = scenario;
+        player.edges = [];
+        player.position = -1;
+
+        return window.docsDiagrams.render(scenario.source)
+            .then(svg => {
+                // Пока рисовали, могли выбрать другой сценарий
+                if (player.scenario !== scenario) {
+                    return;
+                }
+                const stage = player.element.querySelector('.saga-player__stage');
+                // Масштаб, полноэкранный режим и выгрузка - как у остальных диаграмм
+                stage.replaceChildren(window.docsDiagrams.createViewer(svg));
+                player.edges = collectEdges(stage, scenario.messageCount);
+                player.element.classList.add('saga-player--ready');
+                update(player);
+            })
+            .catch(error => {
+                player.element.classList.add('saga-player--failed');
+                console.warn('Saga diagram player is unavailable:', error);
+            });
+    }
+
+    // Mermaid рисует сообщения в порядке исходника: линия + подпись на каждое сообщение
+    function collectEdges(stage, count) {
+        const lines = stage.querySelectorAll('.messageLine0, .messageLine1');
+        const texts = stage.querySelectorAll('.messageText');
+        if (lines.length !== count || texts.length !== count) {
+            return [];
+        }
+        return Array.from(lines, (line, index) => [line, texts[index]]);
+    }
+
+    function update(player) {
+        const frames = player.scenario.frames;
+        const stage = player.element.querySelector('.saga-player__stage');
+        stage.classList.toggle('saga-player__stage--stepping', player.position >= 0);
+        player.edges.forEach(edge => edge.forEach(el => {
+            el.classList.remove('is-done', 'is-active', 'is-compensate', 'is-fail');
+        }));
+
+        frames.forEach((frame, index) => {
+            if (index > player.position) {
+                return;
+            }
+            frame.messages.forEach(message => {
+                const edge = player.edges[message];
+                if (!edge) {
+                    return;
+                }
+                edge.forEach(el => {
+                    el.classList.add(index === player.position ? 'is-active' : 'is-done');
+                    if (frame.kind === 'compensate' || frame.kind === 'fail') {
+                        el.classList.add('is-' + frame.kind);
+                    }
+                });
+            });
+        });
+
+        const finished = player.position >= frames.length - 1;
+        player.element.querySelector('.saga-player__caption').textContent = player.position >= 0
+            ? frames[player.position].caption
+            : t('saga.hint');
+        player.element.querySelector('.saga-player__step').disabled = finished;
+        player.element.querySelector('.saga-player__play').textContent = t(player.timer ? 'saga.pause' : (finished ? 'saga.replay' : 'saga.play'));
+    }
+
+    function step(player) {
+        if (!player.scenario || player.position >= player.scenario.frames.length - 1) {
+            stop(player);
+            return;
+        }
+        player.position++;
+        update(player);
+    }
+
+    function stop(player) {
+        if (player.timer) {
+            clearInterval(player.timer);
+            player.timer = null;
+        }
+        if (player.scenario) {
+            update(player);
+        }
+    }
+
+    function togglePlay(player) {
+        if (player.timer) {
+            stop(player);
+            return;
+        }
+        if (!player.scenario) {
+            return;
+        }
+        if (player.position >= player.scenario.frames.length - 1) {
+            player.position = -1;
+        }
+        player.timer = setInterval(() => step(player), PLAY_INTERVAL);
+        step(player);
+    }
+
+    function reset(player) {
+        stop(player);
+        player.position = -1;
+        update(player);
+    }
+
+    function initPlayers() {
+        if (!window.docsDiagrams) {
+            return;
+        }
+        // При мгновенной навигации таймеры прошлой страницы больше не нужны
+        players.forEach(stop);
+        players = [];
+
+        document.querySelectorAll('pre.mermaid-saga').forEach(block => {
+            if (block.closest('.saga-player')) {
+                return;
+            }
+            const player = createPlayer(block);
+            if (player) {
+                players.push(player);
+                render(player, 0);
+            }
+        });
+    }
+
+    if (window.document$ && typeof window.document$.subscribe === 'function') {
+        window.document$.subscribe(initPlayers);
+    } else if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initPlayers);
+    } else {
+        initPlayers();
+    }
+})();
@@ -0,0 +1,245 @@
+// Печать раздела целиком: загружает все страницы текущего раздела в порядке навигации, собирает их
+// в один документ с оглавлением, переводит ссылки между ними на якоря внутри документа, рисует
+// диаграммы Mermaid и открывает диалог печати (стили - @media print в extra.css)
+(function() {
+    'use strict';
+
+    const IMAGE_TIMEOUT = 5000;
+    const REMOVED_SELECTOR = '.headerlink, .md-content__button, script';
+    const DIAGRAM_SELECTOR = 'pre.mermaid-diagram, pre.mermaid-saga';
+    const PRINTER_ICON = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" aria-hidden="true"><path d="M18 3H6v4h12m1 5a1 1 0 0 1-1-1 1 1 0 0 1 1-1 1 1 0 0 1 1 1 1 1 0 0 1-1 1m-3 7H8v-5h8m3-6H5a3 3 0 0 0-3 3v6h4v4h12v-4h4v-6a3 3 0 0 0-3-3Z"/></svg>';
+    const t = window.docsI18n.t;
+
+    let state = null;
+    let busy = false;
+
+    // Функция для получения страниц раздела текущей страницы (с вложенными подразделами) в порядке навигации
+    function getSectionPages() {
+        const nav = window.docsNavigation;
+        const section = state.pageInfo.section;
+        return state.pageOrder.filter(page => nav.isWithinSection(page.sections || [], section.sections));
+    }
+
+    // Адрес без якоря и query; "page/index.html" и "page/" считаем одной страницей
+    function normalizeUrl(url) {
+        const target = new URL(url);
+        return target.origin + target.pathname.replace(/index\.html$/, '');
+    }
+
+    function loadPage(page) {
+        const url = window.docsNavigation.getPageUrl(page);
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${url}`);
+                }
+                return response.text();
+            })
+            .then(html => {
+                const doc = new DOMParser().parseFromString(html, 'text/html');
+                const content = doc.querySelector('.md-content__inner');
+                if (!content) {
+                    throw new Error(`No content: ${url}`);
+                }
+                return { page: page, url: url, content: content };
+            });
+    }
+
+    // Функция для переноса страницы в общий документ: id получают префикс страницы, чтобы не пересекаться,
+    // ссылки на страницы раздела становятся якорями, остальные относительные адреса - абсолютными
+    function preparePage(loaded, index, targets) {
+        const content = loaded.content;
+        const prefix = `print-${index}-`;
+        content.querySelectorAll(REMOVED_SELECTOR).forEach(element => element.remove());
+
+        content.querySelectorAll('[id]').forEach(element => {
+            element.id = prefix + element.id;
+        });
+        content.querySelectorAll('label[for]').forEach(label => {
+            label.htmlFor = prefix + label.htmlFor;
+        });
+
+        content.querySelectorAll('a[href]').forEach(link => {
+            const url = new URL(link.getAttribute('href'), loaded.url);
+            const target = targets.get(normalizeUrl(url.href));
+            if (target === undefined) {
+                link.href = url.href;
+            } else if (url.hash) {
+                link.href = `#print-${target}-${decodeURIComponent(url.hash.slice(1))}`;
+            } else {
+                link.href = `#print-page-${target}`;
+            }
+        });
+        content.querySelectorAll('img[src]').forEach(image => {
+            image.src = new URL(image.getAttribute('src'), loaded.url).href;
+        });
+
+        const section = document.createElement('section');
+        section.className = 'section-print__page';
+        section.id = `print-page-${index}`;
+        if (!content.querySelector('h1')) {
+            const title = document.createElement('h1');
+            title.textContent = window.docsNavigation.getPageTitle(loaded.page);
+            section.appendChild(title);
+        }
+        section.append(...content.childNodes);
+        return section;
+    }
+
+    // Функция для оглавления: страницы раздела и их заголовки второго уровня
+    function createContents(pages) {
+        const nav = document.createElement('nav');
+        nav.className = 'section-print__toc';
+        const title = document.createElement('h2');
+        title.textContent = t('print.contents');
+        const list = document.createElement('ol');
+        pages.forEach(section => {
+            const heading = section.querySelector('h1');
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = '#' + section.id;
+            link.textContent = heading.textContent.trim();
+            item.appendChild(link);
+
+            const subheadings = Array.from(section.querySelectorAll('h2[id]'));
+            if (subheadings.length > 0) {
+                const sublist = document.createElement('ol');
+                subheadings.forEach(subheading => {
+                    const subitem = document.createElement('li');
+                    const sublink = document.createElement('a');
+                    sublink.href = '#' + subheading.id;
+                    sublink.textContent = subheading.textContent.trim();
+                    subitem.appendChild(sublink);
+                    sublist.appendChild(subitem);
+                });
+                item.appendChild(sublist);
+            }
+            list.appendChild(item);
+        });
+        nav.append(title, list);
+        return nav;
+    }
+
+    // Диаграммы рисуем статичным SVG без панели инструментов; если Mermaid недоступен, остается исходник
+    function renderDiagrams(container) {
+        const blocks = Array.from(container.querySelectorAll(DIAGRAM_SELECTOR));
+        if (!window.docsDiagrams) {
+            return Promise.resolve();
+        }
+        return Promise.all(blocks.map(block => window.docsDiagrams.render(block.textContent)
+            .then(svg => {
+                const figure = document.createElement('figure');
+                figure.className = 'section-print__diagram';
+                figure.innerHTML = svg;
+                block.replaceWith(figure);
+            })
+            .catch(error => console.warn('Mermaid diagram is unavailable:', error))));
+    }
+
+    function waitForImages(container) {
+        const pending = Array.from(container.querySelectorAll('img'))
+            .filter(image => !image.complete)
+            .map(image => new Promise(resolve => {
+                image.addEventListener('load', resolve);
+                image.addEventListener('error', resolve);
+            }));
+        return Promise.race([
+            Promise.all(pending),
+            new Promise(resolve => setTimeout(resolve, IMAGE_TIMEOUT))
+        ]);
+    }
+
+    function cleanup() {
+        document.body.classList.remove('section-print-active');
+        document.querySelectorAll('.section-print').forEach(element => element.remove());
+    }
+
+    function setButtonState(button, label, isBusy) {
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.setAttribute('aria-busy', String(isBusy));
+        button.classList.toggle('section-print__button--busy', isBusy);
+    }
+
+    // Функция для сборки документа раздела и вызова печати
+    function printSection(button) {
+        if (busy) {
+            return;
+        }
+        busy = true;
+        const section = state.pageInfo.section;
+        const pages = getSectionPages();
+        const targets = new Map(pages.map((page, index) =>
+            [normalizeUrl(window.docsNavigation.getPageUrl(page)), index]));
+        let done = 0;
+        setButtonState(button, t('print.preparing', { done: done, total: pages.length }), true);
+
+        Promise.all(pages.map(page => loadPage(page).then(loaded => {
+            done++;
+            setButtonState(button, t('print.preparing', { done: done, total: pages.length }), true);
+            return loaded;
+        })))
+            .then(loadedPages => {
+                cleanup();
+                const container = document.createElement('div');
+                container.className = 'section-print md-typeset';
+                const title = document.createElement('h1');
+                title.className = 'section-print__title';
+                title.textContent = section.title;
+                const sections = loadedPages.map((loaded, index) => preparePage(loaded, index, targets));
+                container.append(title, createContents(sections), ...sections);
+                document.body.appendChild(container);
+                return renderDiagrams(container)
+                    .then(() => waitForImages(container));
+            })
+            .then(() => {
+                setButtonState(button, t('print.section', { section: section.title }), false);
+                document.body.classList.add('section-print-active');
+                window.addEventListener('afterprint', cleanup, { once: true });
+                window.print();
+            })
+            .catch(error => {
+                console.warn('Section printing failed:', error);
+                cleanup();
+                setButtonState(button, t('print.failed'), false);
+            })
+            .then(() => {
+                busy = false;
+            });
+    }
+
+    // Кнопка рядом с кнопками Material над заголовком; при instant navigation содержимое заменяется,
+    // поэтому добавляем ее на каждой странице заново
+    function addButton() {
+        document.querySelectorAll('.section-print__button').forEach(button => button.remove());
+        const content = document.querySelector('.md-content__inner');
+        const section = state.pageInfo.section;
+        if (!content || !section || section.total < 2) {
+            return;
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'md-content__button md-icon section-print__button';
+        button.innerHTML = PRINTER_ICON;
+        setButtonState(button, t('print.section', { section: section.title }), false);
+        button.addEventListener('click', () => printSection(button));
+        content.insertBefore(button, content.firstChild);
+    }
+
+    function init() {
+        const nav = window.docsNavigation;
+        if (!nav || typeof window.print !== 'function') {
+            return;
+        }
+
+        nav.onPage(detail => {
+            state = detail;
+            if (detail.pageInfo.current) {
+                addButton();
+            }
+        });
+    }
+
+    init();
+})();
@@ -3,6 +3,23 @@
 
     const STAR_EMOJIS = ['⭐', '✨'];
 
+    // Счетчик звезд и последняя версия берутся из публичных JSON API GitHub и PyPI.
+    // Для проверки с локальной заглушкой адрес API можно подменить: ?statsapi=http://localhost:8001
+    // (docsNavigation.getLocalOverride); заглушка отвечает на те же пути /repos/... и /pypi/.../json
+    const GITHUB_API = 'https://api.github.com';
+    const PYPI_API = 'https://pypi.org';
+    const API_PARAM = 'statsapi';
+    const API_KEY = 'docs-stats-api';
+    const CACHE_PREFIX = 'docs-project-stats:';
+    const CACHE_TTL = 60 * 60 * 1000;
+
+    const requests = new Map();
+
+    // Звезды летают, только когда кнопку видно и читатель не просил убрать анимацию
+    const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    const starLinks = new Set();
+    let observer = null;
+
     function shuffle(arr) {
         const a = arr.slice();
         for (let i = a.length - 1; i > 0; i--) {
@@ -33,27 +50,217 @@
         });
     }
 
-    function initStarLink() {
-        const starLink = document.querySelector('.star-link');
-        if (!starLink) return;
+    // Без навигации (docsNavigation) подмены нет - бейджи идут в публичные API
+    function getApiOverride() {
+        return window.docsNavigation ? window.docsNavigation.getLocalOverride(API_PARAM, API_KEY) : null;
+    }
+
+    function readCache(url) {
+        try {
+            const entry = JSON.parse(window.sessionStorage.getItem(CACHE_PREFIX + url));
+            if (entry && Date.now() - entry.time < CACHE_TTL) {
+                return entry.data;
+            }
+        } catch (e) {
+            // sessionStorage недоступен или запись повреждена - запрашиваем заново
+        }
+        return null;
+    }
+
+    function writeCache(url, data) {
+        try {
+            window.sessionStorage.setItem(CACHE_PREFIX + url, JSON.stringify({ time: Date.now(), data: data }));
+        } catch (e) {
+            // Без кэша просто повторим запрос на следующей странице
+        }
+    }
+
+    // Функция для загрузки JSON с кэшем в sessionStorage; одинаковые запросы со страницы объединяются.
+    // Ошибки (нет сети, лимит запросов GitHub) не кэшируются и дают null
+    function fetchJson(url) {
+        const cached = readCache(url);
+        if (cached !== null) {
+            return Promise.resolve(cached);
+        }
+        if (navigator.onLine === false) {
+            return Promise.resolve(null);
+        }
+        if (!requests.has(url)) {
+            requests.set(url, fetch(url, { headers: { Accept: 'application/json' } })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    writeCache(url, data);
+                    return data;
+                })
+                .catch(error => {
+                    console.warn('Project stats are unavailable:', url, error);
+                    return null;
+                })
+                .finally(() => requests.delete(url)));
+        }
+        return requests.get(url);
+    }
+
+    function formatStars(count) {
+        return new Intl.NumberFormat(window.docsI18n.lang, { notation: 'compact', maximumFractionDigits: 1 }).format(count);
+    }
+
+    // Функция для выбора показателя по адресу ссылки: репозиторий GitHub - звезды, проект PyPI - версия
+    function getStat(link) {
+        let url;
+        try {
+            url = new URL(link.href);
+        } catch (e) {
+            return null;
+        }
+        const override = (getApiOverride() || '').replace(/\/+$/, '');
+        const parts = url.pathname.split('/').filter(Boolean);
+
+        if (url.hostname === 'github.com' && parts.length >= 2) {
+            return {
+                url: `${override || GITHUB_API}/repos/${parts[0]}/${parts[1]}`,
+                read: data => typeof data.stargazers_count === 'number' ? {
+                    text: '★ ' + formatStars(data.stargazers_count),
+                    title: window.docsI18n.t('stats.stars', {
+                        count: data.stargazers_count,
+                        formatted: data.stargazers_count.toLocaleString(window.docsI18n.lang)
+                    })
+                } : null
+            };
+        }
+        if (url.hostname === 'pypi.org' && parts[0] === 'project' && parts[1]) {
+            return {
+                url: `${override || PYPI_API}/pypi/${parts[1]}/json`,
+                read: data => data.info && data.info.version ? {
+                    text: 'v' + data.info.version,
+                    title: window.docsI18n.t('stats.version', { version: data.info.version })
+                } : null
+            };
+        }
+        return null;
+    }
+
+    // Бейдж появляется только после успешной загрузки; без данных ссылка выглядит как раньше
+    function showStat(link) {
+        const stat = getStat(link);
+        if (!stat) {
+            return;
+        }
+        const badge = document.createElement('span');
+        badge.className = 'project-link__stat';
+        badge.hidden = true;
+        // В конец: звезды .star-link позиционируются через :nth-child, порядок их span менять нельзя
+        link.appendChild(badge);
+
+        fetchJson(stat.url).then(data => {
+            const value = data && stat.read(data);
+            if (value) {
+                badge.textContent = value.text;
+                badge.title = value.title;
+                badge.hidden = false;
+                // aria-label заменяет текст ссылки, поэтому показатель добавляем и в него
+                if (link.hasAttribute('aria-label')) {
+                    link.setAttribute('aria-label', `${link.getAttribute('aria-label')}, ${value.title}`);
+                }
+            }
+        });
+    }
+
+    function isPaused(starLink) {
+        return Boolean(reducedMotion && reducedMotion.matches) || document.hidden || starLink.dataset.offscreen === 'true';
+    }
+
+    // Функция для паузы анимации: класс star-link--paused останавливает ее в CSS,
+    // а на паузе не приходит и animationiteration, так что звезды не перемешиваются впустую
+    function updatePlayback(starLink) {
+        starLink.classList.toggle('star-link--paused', isPaused(starLink));
+    }
+
+    function getObserver() {
+        if (!observer && 'IntersectionObserver' in window) {
+            observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    entry.target.dataset.offscreen = String(!entry.isIntersecting);
+                    updatePlayback(entry.target);
+                });
+            });
+        }
+        return observer;
+    }
+
+    function initStarLink(starLink) {
+        // Эмодзи декоративные: имя ссылки задает ее текст или aria-label
+        starLink.querySelectorAll('.star-link-icon').forEach(function(el) {
+            el.setAttribute('aria-hidden', 'true');
+        });
 
         randomizeStars(starLink);
 
-        starLink.addEventListener('mouseenter', function() {
-            randomizeStars(starLink);
+        // Фокус с клавиатуры дает тот же эффект, что и наведение
+        ['mouseenter', 'focus'].forEach(function(type) {
+            starLink.addEventListener(type, function() {
+                if (!isPaused(starLink)) {
+                    randomizeStars(starLink);
+                }
+            });
         });
 
         const cycleTrigger = starLink.querySelector('.star-link-icon-star');
         if (cycleTrigger) {
             cycleTrigger.addEventListener('animationiteration', function() {
-                randomizeStars(starLink);
+                if (!isPaused(starLink)) {
+                    randomizeStars(starLink);
+                }
             });
         }
+
+        starLinks.add(starLink);
+        updatePlayback(starLink);
+        if (getObserver()) {
+            observer.observe(starLink);
+        }
+    }
+
+    function initProjectLinks() {
+        // После instant navigation кнопки прошлой страницы больше не нужно отслеживать
+        starLinks.forEach(link => {
+            if (!link.isConnected) {
+                starLinks.delete(link);
+                if (observer) {
+                    observer.unobserve(link);
+                }
+            }
+        });
+
+        document.querySelectorAll('.star-link, .project-link').forEach(link => {
+            // document$ срабатывает на каждой странице, а ссылка могла остаться прежней
+            if (link.dataset.projectLinkReady) {
+                return;
+            }
+            link.dataset.projectLinkReady = 'true';
+            if (link.classList.contains('star-link')) {
+                initStarLink(link);
+            }
+            showStat(link);
+        });
+    }
+
+    document.addEventListener('visibilitychange', () => starLinks.forEach(updatePlayback));
+    if (reducedMotion && typeof reducedMotion.addEventListener === 'function') {
+        reducedMotion.addEventListener('change', () => starLinks.forEach(updatePlayback));
     }
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initStarLink);
+    // При navigation.instant главная страница может открыться без перезагрузки - инициализируем ссылки на каждой странице
+    if (window.document$ && typeof window.document$.subscribe === 'function') {
+        window.document$.subscribe(initProjectLinks);
+    } else if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initProjectLinks);
     } else {
-        initStarLink();
+        initProjectLinks();
     }
 })();
@@ -0,0 +1,168 @@
+// Ссылки на документацию символов python-cqrs: встроенный `SagaMediator` в тексте ведет на страницу,
+// где он описан, и показывает краткое описание при наведении. Индекс - symbols.json (hooks/symbols.py)
+(function() {
+    'use strict';
+
+    // Блоки кода, ссылки и заголовки не трогаем
+    const SKIP_SELECTOR = 'pre, a, h1, h2, h3, h4, h5, h6, .highlight';
+    // Ширина карточки - как max-width у .symbol-card в extra.css
+    const CARD_WIDTH = 320;
+
+    let indexPromise = null;
+    let state = null;
+    let card = null;
+    let cardOwner = null;
+
+    function loadIndex() {
+        if (!indexPromise) {
+            const nav = window.docsNavigation;
+            indexPromise = fetch(new URL('symbols.json', nav.siteBase || window.location.href).href)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    const symbols = new Map();
+                    data.symbols.forEach(symbol => {
+                        [symbol.name].concat(symbol.aliases || []).forEach(name => symbols.set(name, symbol));
+                    });
+                    return symbols;
+                })
+                .catch(error => {
+                    console.warn('Symbol index is unavailable:', error);
+                    return new Map();
+                });
+        }
+        return indexPromise;
+    }
+
+    // Функция для поиска символа: допускаем вызов ("bootstrap()") и префикс пакета ("cqrs.SagaMediator")
+    function findSymbol(symbols, text) {
+        const candidates = [text, text.replace(/\(\)$/, '')];
+        candidates.push(...candidates.map(name => name.replace(/^cqrs\./, '')));
+        for (const name of candidates) {
+            if (symbols.has(name)) {
+                return symbols.get(name);
+            }
+        }
+        return null;
+    }
+
+    function linkSymbols(symbols, current) {
+        const nav = window.docsNavigation;
+        document.querySelectorAll('.md-content__inner code').forEach(code => {
+            if (code.children.length > 0 || code.closest(SKIP_SELECTOR)) {
+                return;
+            }
+            const symbol = findSymbol(symbols, code.textContent.trim());
+            // Ссылки на страницу, которую читают, не нужны
+            if (!symbol || (current && symbol.path === current.path)) {
+                return;
+            }
+
+            const link = document.createElement('a');
+            link.className = 'symbol-link';
+            link.href = nav.getRelativeUrl(symbol, window.location.pathname) + (symbol.anchor ? '#' + symbol.anchor : '');
+            link.dataset.symbol = symbol.name;
+            code.replaceWith(link);
+            link.appendChild(code);
+        });
+    }
+
+    function getCard() {
+        if (!card || !card.isConnected) {
+            card = document.createElement('div');
+            card.className = 'symbol-card';
+            card.id = 'symbol-card';
+            card.setAttribute('role', 'tooltip');
+            card.hidden = true;
+            document.body.appendChild(card);
+        }
+        return card;
+    }
+
+    // Функция для подписи страницы символа с разделом: "Bootstrap › Overview"
+    function getPageLabel(symbol) {
+        const nav = window.docsNavigation;
+        const page = state && state.pageOrder.find(item => item.path === symbol.path);
+        const section = page ? (page.sections || []).slice(-1)[0] : null;
+        return (section ? section + ' › ' : '') + nav.getPageTitle(page || symbol);
+    }
+
+    // Карточка с описанием символа под ссылкой
+    function showCard(link, symbols) {
+        const symbol = symbols.get(link.dataset.symbol);
+        if (!symbol) {
+            return;
+        }
+        hideCard();
+        const element = getCard();
+        element.innerHTML = '';
+        const name = document.createElement('code');
+        name.textContent = symbol.name;
+        const summary = document.createElement('span');
+        summary.className = 'symbol-card__summary';
+        summary.textContent = symbol.summary;
+        const page = document.createElement('span');
+        page.className = 'symbol-card__page';
+        page.textContent = getPageLabel(symbol);
+        element.append(name, summary, page);
+
+        const rect = link.getBoundingClientRect();
+        element.style.top = `${rect.bottom + window.scrollY + 6}px`;
+        element.style.left = `${Math.max(8, Math.min(rect.left, document.documentElement.clientWidth - CARD_WIDTH - 8)) + window.scrollX}px`;
+        cardOwner = link;
+        link.setAttribute('aria-describedby', element.id);
+        element.hidden = false;
+    }
+
+    function hideCard() {
+        if (card) {
+            card.hidden = true;
+        }
+        if (cardOwner) {
+            cardOwner.removeAttribute('aria-describedby');
+            cardOwner = null;
+        }
+    }
+
+    function init() {
+        const nav = window.docsNavigation;
+        if (!nav) {
+            return;
+        }
+
+        nav.onPage(detail => {
+            state = detail;
+            hideCard();
+            loadIndex().then(symbols => linkSymbols(symbols, detail.pageInfo.current));
+        });
+
+        // Делегирование: ссылки создаются заново на каждой странице
+        const onEnter = event => {
+            const link = event.target instanceof Element && event.target.closest('.symbol-link');
+            if (link && link !== cardOwner) {
+                loadIndex().then(symbols => showCard(link, symbols));
+            }
+        };
+        const onLeave = event => {
+            const link = event.target instanceof Element && event.target.closest('.symbol-link');
+            if (link && link === cardOwner && !link.contains(event.relatedTarget)) {
+                hideCard();
+            }
+        };
+        document.addEventListener('mouseover', onEnter);
+        document.addEventListener('focusin', onEnter);
+        document.addEventListener('mouseout', onLeave);
+        document.addEventListener('focusout', onLeave);
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                hideCard();
+            }
+        });
+    }
+
+    init();
+})();
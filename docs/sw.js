@@ -0,0 +1,146 @@
+// Service worker для чтения документации без сети. Подключается только по выбору читателя (offline.js).
+// Лежит в корне сайта, поэтому его область - весь сайт под любым префиксом.
+// Список файлов - offline.json (hooks/offline.py); версия сайта приходит в адресе скрипта: sw.js?v=<версия>,
+// так что после новой сборки браузер ставит новый worker, а страница показывает "обновление готово"
+'use strict';
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'docs-offline-';
+const CACHE_NAME = CACHE_PREFIX + VERSION;
+const SCOPE = self.registration.scope;
+const MANIFEST_URL = new URL('offline.json', SCOPE).href;
+const FALLBACK_URL = new URL('404.html', SCOPE).href;
+const MAX_CONCURRENT = 4;
+// Файлы с других сайтов, без которых страницы неполные: Mermaid грузится с CDN (MERMAID_URL в diagrams.js).
+// Сохраняются вместе с сайтом, но если CDN недоступен, установка не прерывается - без сети будут видны исходники диаграмм
+const EXTERNAL_URLS = ['https://unpkg.com/mermaid@11/dist/mermaid.min.js'];
+
+function broadcast(message) {
+    return self.clients.matchAll({ includeUncontrolled: true }).then(clients => {
+        clients.forEach(client => client.postMessage(message));
+    });
+}
+
+function precacheExternal(cache) {
+    return Promise.all(EXTERNAL_URLS.map(url => fetch(url, { mode: 'cors', cache: 'no-cache' })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${url}`);
+            }
+            return cache.put(url, response);
+        })
+        .catch(error => console.warn('External file is not available offline:', error))));
+}
+
+// Функция для загрузки всех файлов из манифеста с отчетом о прогрессе открытым страницам.
+// Хоть один файл не загрузился - установка не удалась, старая версия остается рабочей
+function precache() {
+    return fetch(MANIFEST_URL, { cache: 'no-cache' })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.json();
+        })
+        .then(manifest => caches.open(CACHE_NAME).then(cache => {
+            const urls = manifest.files.map(file => new URL(file, SCOPE).href);
+            let done = 0;
+            let next = 0;
+
+            function worker() {
+                if (next >= urls.length) {
+                    return Promise.resolve();
+                }
+                const url = urls[next++];
+                return fetch(url, { cache: 'no-cache' })
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`HTTP ${response.status}: ${url}`);
+                        }
+                        return cache.put(url, response);
+                    })
+                    .then(() => {
+                        done++;
+                        broadcast({ type: 'offline-progress', done: done, total: urls.length });
+                        return worker();
+                    });
+            }
+
+            const workers = [];
+            for (let i = 0; i < Math.min(MAX_CONCURRENT, urls.length); i++) {
+                workers.push(worker());
+            }
+            return Promise.all(workers).then(() => precacheExternal(cache));
+        }))
+        .catch(error => caches.delete(CACHE_NAME).then(() => {
+            broadcast({ type: 'offline-error', message: String(error) });
+            throw error;
+        }));
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(precache());
+});
+
+// Новая версия включается по кнопке "Update ready" на странице
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'offline-activate') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// Функция для обновления файла в кэше в фоне: следующий показ будет уже свежим
+function revalidate(cache, request) {
+    return fetch(request)
+        .then(response => {
+            if (response.ok) {
+                return cache.put(request, response);
+            }
+            return null;
+        })
+        .catch(() => null);
+}
+
+// Сначала кэш, затем сеть. Файлы вне манифеста (новые страницы, картинки) кладутся в кэш после загрузки
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const isExternal = EXTERNAL_URLS.includes(request.url);
+    if (request.method !== 'GET' || (!request.url.startsWith(SCOPE) && !isExternal) || request.url === MANIFEST_URL) {
+        return;
+    }
+
+    // У страниц отбрасываем ?query (например, ?q= из поиска Material): в кэше они лежат без него
+    const isPage = request.mode === 'navigate';
+    const key = isPage ? request.url.split(/[?#]/)[0] : request;
+    event.respondWith(caches.open(CACHE_NAME).then(cache =>
+        cache.match(key).then(cached => {
+            if (cached) {
+                event.waitUntil(revalidate(cache, key));
+                return cached;
+            }
+            return fetch(request)
+                .then(response => {
+                    // <script> без crossorigin получает с CDN непрозрачный ответ - его тоже сохраняем
+                    if ((response.ok && response.type === 'basic') || (isExternal && (response.ok || response.type === 'opaque'))) {
+                        cache.put(key, response.clone());
+                    }
+                    return response;
+                })
+                .catch(error => {
+                    // Без сети на странице, которой нет в кэше, показываем сохраненную 404
+                    if (isPage) {
+                        return cache.match(FALLBACK_URL).then(fallback => fallback || Promise.reject(error));
+                    }
+                    throw error;
+                });
+        })
+    ));
+});
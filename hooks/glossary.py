@@ -0,0 +1,113 @@
+"""MkDocs hook: глоссарий для страницы glossary.md и docs/javascripts/glossary.js.
+
+Термины ведутся в ``data/glossary.yml``. Из них генерируется страница ``glossary.md``
+(в docs/ ее нет - она создается при сборке), а определения сохраняются в ``glossary.json``
+в корне сайта, чтобы glossary.js показывал подсказки у терминов на остальных страницах.
+"""
+
+import json
+import os
+
+import yaml
+from mkdocs.exceptions import PluginError
+from mkdocs.structure.files import File
+
+GLOSSARY_PAGE = "glossary.md"
+INDEX_NAME = "glossary.json"
+GLOSSARY_FILE = os.path.join("data", "glossary.yml")
+
+_terms = []
+_pages = {}
+_glossary = {}
+
+
+def _page_path(src_uri):
+    return os.path.splitext(src_uri)[0]
+
+
+def _collect_pages(items, sections, result):
+    for item in items:
+        if item.is_section:
+            _collect_pages(item.children, sections + [item.title], result)
+        elif item.is_page:
+            result[_page_path(item.file.src_uri)] = (sections[-1] + " › " if sections else "") + item.title
+
+
+def _load_terms(config):
+    """Читает глоссарий и проверяет, что термины и якоря не повторяются."""
+    filename = os.path.join(os.path.dirname(config["config_file_path"]), GLOSSARY_FILE)
+    if not os.path.exists(filename):
+        return []
+
+    with open(filename, encoding="utf-8") as data:
+        terms = yaml.safe_load(data) or []
+
+    ids = set()
+    words = set()
+    for entry in terms:
+        if entry["id"] in ids:
+            raise PluginError(f"Glossary id '{entry['id']}' is listed twice in {GLOSSARY_FILE}")
+        ids.add(entry["id"])
+        for word in [entry["term"]] + entry.get("aliases", []):
+            if word.lower() in words:
+                raise PluginError(f"Glossary term '{word}' is listed twice in {GLOSSARY_FILE}")
+            words.add(word.lower())
+    return sorted(terms, key=lambda entry: entry["term"].lower())
+
+
+def _render(terms):
+    lines = [
+        "# Glossary",
+        "",
+        "Terms used across the python-cqrs documentation. On other pages the first use of each term "
+        "is marked: hover, focus or tap it to see the definition.",
+        "",
+    ]
+    for entry in terms:
+        lines += [f"## {entry['term']} {{ #{entry['id']} }}", "", entry["definition"], ""]
+        links = []
+        for target in entry.get("see", []):
+            page = _page_path(target.split("#")[0])
+            if page not in _pages:
+                raise PluginError(
+                    f"Glossary term '{entry['term']}' in {GLOSSARY_FILE} references a page that is not in nav: {target}"
+                )
+            links.append(f"[{_pages[page]}]({target})")
+        if links:
+            lines += ["**See:** " + ", ".join(links), ""]
+    return "\n".join(lines)
+
+
+def on_files(files, config):
+    _terms[:] = _load_terms(config)
+    glossary = File.generated(config, GLOSSARY_PAGE, content="# Glossary\n")
+    files.append(glossary)
+    _glossary["url"] = glossary.url
+    return files
+
+
+def on_nav(nav, config, files):
+    _pages.clear()
+    _collect_pages(nav.items, [], _pages)
+    return nav
+
+
+def on_page_markdown(markdown, page, config, files):
+    # Ссылки "See" подписываются разделом и заголовком страницы из nav, поэтому текст собирается здесь
+    if page.file.src_uri == GLOSSARY_PAGE:
+        return _render(_terms)
+    return markdown
+
+
+def on_post_build(config):
+    terms = [
+        {
+            "term": entry["term"],
+            "id": entry["id"],
+            "aliases": entry.get("aliases", []),
+            "definition": entry["definition"],
+        }
+        for entry in _terms
+    ]
+    with open(os.path.join(config["site_dir"], INDEX_NAME), "w", encoding="utf-8") as index:
+        json.dump({"url": _glossary["url"], "terms": terms}, index, ensure_ascii=False)
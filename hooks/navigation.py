@@ -0,0 +1,80 @@
+"""MkDocs hook: manifest навигации для docs/javascripts/navigation.js.
+
+Порядок страниц, их заголовки и разделы берутся из ``nav`` в mkdocs.yml
+(после обработки плагинами) и сохраняются в ``navigation.json`` в корне сайта,
+чтобы плитки "Previous / Next" не расходились с реальной навигацией.
+Туда же попадают учебные маршруты из ``data/learning_paths.yml``.
+"""
+
+import json
+import os
+
+import yaml
+from mkdocs.exceptions import PluginError
+
+MANIFEST_NAME = "navigation.json"
+LEARNING_PATHS_FILE = os.path.join("data", "learning_paths.yml")
+
+_pages = []
+_learning_paths = []
+
+
+def _page_path(src_uri):
+    return os.path.splitext(src_uri)[0]
+
+
+def _collect(items, sections, result):
+    for item in items:
+        if item.is_section:
+            _collect(item.children, sections + [item.title], result)
+        elif item.is_page:
+            result.append(
+                {
+                    "title": item.title,
+                    "path": _page_path(item.file.src_uri),
+                    "url": item.url,
+                    "sections": sections,
+                }
+            )
+
+
+def _load_learning_paths(config, pages):
+    """Читает учебные маршруты и проверяет, что все их шаги есть в nav."""
+    filename = os.path.join(os.path.dirname(config["config_file_path"]), LEARNING_PATHS_FILE)
+    if not os.path.exists(filename):
+        return []
+
+    with open(filename, encoding="utf-8") as data:
+        learning_paths = yaml.safe_load(data) or []
+
+    known = {page["path"] for page in pages}
+    result = []
+    for learning_path in learning_paths:
+        missing = [src for src in learning_path["pages"] if _page_path(src) not in known]
+        if missing:
+            raise PluginError(
+                f"Learning path '{learning_path['id']}' in {LEARNING_PATHS_FILE} "
+                f"references pages that are not in nav: {', '.join(missing)}"
+            )
+        result.append(
+            {
+                "id": learning_path["id"],
+                "title": learning_path["title"],
+                "description": learning_path.get("description", ""),
+                "pages": [_page_path(src) for src in learning_path["pages"]],
+            }
+        )
+    return result
+
+
+def on_nav(nav, config, files):
+    _pages.clear()
+    _collect(nav.items, [], _pages)
+    _learning_paths[:] = _load_learning_paths(config, _pages)
+    return nav
+
+
+def on_post_build(config):
+    path = os.path.join(config["site_dir"], MANIFEST_NAME)
+    with open(path, "w", encoding="utf-8") as manifest:
+        json.dump({"pages": _pages, "learningPaths": _learning_paths}, manifest, ensure_ascii=False)
@@ -0,0 +1,63 @@
+"""MkDocs hook: список файлов для чтения без сети (docs/sw.js и docs/javascripts/offline.js).
+
+После сборки обходит ``site_dir`` и сохраняет в ``offline.json`` в корне сайта адреса страниц,
+стилей, скриптов, картинок, индекса поиска и JSON-манифестов остальных хуков - относительно корня,
+чтобы service worker работал под любым префиксом (GitHub Pages, nginx-образ).
+Версия - хэш содержимого файлов: она меняется только при изменении сайта.
+Хук подключается последним, чтобы манифесты остальных хуков уже были записаны.
+"""
+
+import hashlib
+import json
+import os
+import re
+
+MANIFEST_NAME = "offline.json"
+WORKER_NAME = "sw.js"
+EXTENSIONS = {
+    ".html", ".css", ".js", ".json",
+    ".png", ".jpg", ".jpeg", ".gif", ".svg", ".webp", ".ico", ".woff", ".woff2",
+}
+
+
+def _is_lunr_file(path, lang):
+    # Из языковых пакетов lunr нужны только пакеты языка сайта
+    name = path.rsplit("/", 1)[-1]
+    return re.fullmatch(rf"lunr\.(stemmer\.support|multi|{re.escape(lang)})\.min\.js", name) is not None
+
+
+def _is_cached(path, lang):
+    if path in (MANIFEST_NAME, WORKER_NAME) or os.path.splitext(path)[1] not in EXTENSIONS:
+        return False
+    if path.startswith("assets/javascripts/lunr/"):
+        return _is_lunr_file(path, lang)
+    return True
+
+
+def _url(path, use_directory_urls):
+    # Страницы запрашиваются по адресу папки: "saga/index.html" -> "saga/", "index.html" -> "./"
+    if use_directory_urls and (path == "index.html" or path.endswith("/index.html")):
+        return path[: -len("index.html")] or "./"
+    return path
+
+
+def on_post_build(config):
+    site_dir = config["site_dir"]
+    lang = config["theme"].get("language") or "en"
+    files = []
+    for root, dirs, names in os.walk(site_dir):
+        dirs.sort()
+        for name in sorted(names):
+            path = os.path.relpath(os.path.join(root, name), site_dir).replace(os.sep, "/")
+            if _is_cached(path, lang):
+                files.append(path)
+
+    digest = hashlib.sha256()
+    for path in files:
+        digest.update(path.encode("utf-8"))
+        with open(os.path.join(site_dir, path), "rb") as data:
+            digest.update(hashlib.sha256(data.read()).digest())
+
+    urls = [_url(path, config["use_directory_urls"]) for path in files]
+    with open(os.path.join(site_dir, MANIFEST_NAME), "w", encoding="utf-8") as manifest:
+        json.dump({"version": digest.hexdigest()[:16], "files": urls}, manifest, ensure_ascii=False)
@@ -0,0 +1,100 @@
+"""MkDocs hook: индекс символов python-cqrs для docs/javascripts/symbols.js.
+
+Соответствие "публичное имя -> страница и заголовок" ведется в ``data/symbols.yml``.
+При сборке проверяется, что страницы есть в nav, а заголовки - на страницах,
+и индекс сохраняется в ``symbols.json`` в корне сайта с готовыми URL страниц.
+"""
+
+import json
+import os
+
+import yaml
+from mkdocs.exceptions import PluginError
+
+INDEX_NAME = "symbols.json"
+SYMBOLS_FILE = os.path.join("data", "symbols.yml")
+
+_symbols = []
+_pages = {}
+_anchors = {}
+
+
+def _page_path(src_uri):
+    return os.path.splitext(src_uri)[0]
+
+
+def _collect_pages(items, result):
+    for item in items:
+        if item.is_section:
+            _collect_pages(item.children, result)
+        elif item.is_page:
+            result[_page_path(item.file.src_uri)] = item
+
+
+def _collect_anchors(toc, result):
+    for item in toc:
+        result.add(item.id)
+        _collect_anchors(item.children, result)
+
+
+def _load_symbols(config):
+    """Читает индекс символов и проверяет, что все страницы есть в nav."""
+    filename = os.path.join(os.path.dirname(config["config_file_path"]), SYMBOLS_FILE)
+    if not os.path.exists(filename):
+        return []
+
+    with open(filename, encoding="utf-8") as data:
+        symbols = yaml.safe_load(data) or []
+
+    names = set()
+    for symbol in symbols:
+        for name in [symbol["name"]] + symbol.get("aliases", []):
+            if name in names:
+                raise PluginError(f"Symbol '{name}' is listed twice in {SYMBOLS_FILE}")
+            names.add(name)
+        if _page_path(symbol["page"]) not in _pages:
+            raise PluginError(
+                f"Symbol '{symbol['name']}' in {SYMBOLS_FILE} references a page that is not in nav: {symbol['page']}"
+            )
+    return symbols
+
+
+def on_nav(nav, config, files):
+    _pages.clear()
+    _anchors.clear()
+    _collect_pages(nav.items, _pages)
+    _symbols[:] = _load_symbols(config)
+    return nav
+
+
+def on_page_context(context, page, config, nav):
+    anchors = set()
+    _collect_anchors(page.toc, anchors)
+    _anchors[_page_path(page.file.src_uri)] = anchors
+    return context
+
+
+def on_post_build(config):
+    result = []
+    for symbol in _symbols:
+        path = _page_path(symbol["page"])
+        anchor = symbol.get("anchor", "")
+        if anchor and anchor not in _anchors.get(path, set()):
+            raise PluginError(
+                f"Symbol '{symbol['name']}' in {SYMBOLS_FILE} references a heading "
+                f"that is not on {symbol['page']}: #{anchor}"
+            )
+        result.append(
+            {
+                "name": symbol["name"],
+                "aliases": symbol.get("aliases", []),
+                "path": path,
+                "url": _pages[path].url,
+                "title": _pages[path].title,
+                "anchor": anchor,
+                "summary": symbol["summary"],
+            }
+        )
+
+    with open(os.path.join(config["site_dir"], INDEX_NAME), "w", encoding="utf-8") as index:
+        json.dump({"symbols": result}, index, ensure_ascii=False)